@@ -0,0 +1,46 @@
+// EU Regulation 1169/2011 Annex II, numbered the way Slovak menus list them
+export const EU_ALLERGENS = {
+  1: { key: "gluten", name: "Obilniny obsahujúce lepok" },
+  2: { key: "crustaceans", name: "Kôrovce" },
+  3: { key: "eggs", name: "Vajcia" },
+  4: { key: "fish", name: "Ryby" },
+  5: { key: "peanuts", name: "Arašidy" },
+  6: { key: "soybeans", name: "Sójové zrná" },
+  7: { key: "milk", name: "Mlieko" },
+  8: { key: "nuts", name: "Orechy" },
+  9: { key: "celery", name: "Zeler" },
+  10: { key: "mustard", name: "Horčica" },
+  11: { key: "sesame", name: "Sezamové semená" },
+  12: { key: "sulphites", name: "Oxid siričitý a siričitany" },
+  13: { key: "lupin", name: "Vlčí bôb" },
+  14: { key: "molluscs", name: "Mäkkýše" },
+};
+
+// `allergenPattern` follows the extraction rules: the first matching group
+// holds the list of codes, e.g. "1,3,7" or "1a, 3, 7"
+export function parseAllergens(text, allergenPattern) {
+  if (!text || !allergenPattern) return [];
+
+  const codes = new Set();
+  for (const match of text.matchAll(new RegExp(allergenPattern, "gi"))) {
+    const list = match.slice(1).find(Boolean) || "";
+    for (const code of list.match(/\d+/g) || []) {
+      if (EU_ALLERGENS[code]) codes.add(Number(code));
+    }
+  }
+
+  return toAllergens([...codes]);
+}
+
+// Codes that are not EU allergen numbers are dropped
+export function toAllergens(codes) {
+  return [...new Set(codes.map((code) => parseInt(code, 10)))]
+    .filter((code) => EU_ALLERGENS[code])
+    .sort((a, b) => a - b)
+    .map((code) => ({ code, key: EU_ALLERGENS[code].key }));
+}
+
+export function formatAllergens(allergens) {
+  if (!allergens || allergens.length === 0) return "";
+  return `A: ${allergens.map((allergen) => allergen.code).join(",")}`;
+}
@@ -0,0 +1,231 @@
+import http from "http";
+import { randomUUID, timingSafeEqual } from "crypto";
+import { Logger } from "./logger.js";
+import { getZonedDay } from "./menu-date.js";
+import { EXPORT_SCHEMA_VERSION, toExportedRestaurant } from "./menu-export.js";
+
+const MAX_RUNS = 100;
+
+// Errors with a status are answered with their message; others are logged
+// and answered with a 500
+function httpError(status, message) {
+  return Object.assign(new Error(message), { status });
+}
+
+// A request-target like "http://[" does not parse
+function parseRequestUrl(request) {
+  try {
+    return new URL(request.url, "http://localhost");
+  } catch (error) {
+    throw httpError(400, "Invalid request target");
+  }
+}
+
+function summarizeRun(run) {
+  return {
+    id: run.id,
+    trigger: run.trigger,
+    day: run.day,
+    startedAt: run.startedAt,
+    finishedAt: run.finishedAt,
+    durationMs: run.durationMs,
+    ...run.summary,
+  };
+}
+
+function tokensMatch(expected, given) {
+  const a = Buffer.from(expected);
+  const b = Buffer.from(given || "");
+  return a.length === b.length && timingSafeEqual(a, b);
+}
+
+// JSON API over the scheduler for bots, dashboards and monitoring. Every
+// route but GET /health needs `Authorization: Bearer <API_TOKEN>`.
+export class ApiServer {
+  constructor(scheduler, { port, host = "127.0.0.1", token }) {
+    if (!token) {
+      throw new Error("API_TOKEN is required when API_PORT is set");
+    }
+
+    this.scheduler = scheduler;
+    this.port = port;
+    this.host = host;
+    this.token = token;
+    this.logger = new Logger();
+    this.server = null;
+
+    this.routes = [
+      ["GET", /^\/health$/, () => this.getHealth(), { public: true }],
+      ["GET", /^\/menus\/today$/, () => this.getTodaysMenus()],
+      ["GET", /^\/sites$/, () => this.getSites()],
+      ["GET", /^\/runs$/, (match, url) => this.getRuns(url)],
+      ["GET", /^\/runs\/([\w-]+)$/, (match) => this.getRun(match[1])],
+      ["POST", /^\/runs$/, () => this.triggerRun()],
+    ];
+  }
+
+  async start() {
+    this.server = http.createServer((request, response) =>
+      this.handle(request, response)
+    );
+
+    await new Promise((resolve, reject) => {
+      this.server.once("error", reject);
+      this.server.listen(this.port, this.host, resolve);
+    });
+
+    this.logger.info(
+      `API listening on http://${this.host}:${this.server.address().port}`
+    );
+  }
+
+  async stop() {
+    if (!this.server) return;
+
+    await new Promise((resolve) => this.server.close(resolve));
+    this.server = null;
+  }
+
+  async handle(request, response) {
+    try {
+      const url = parseRequestUrl(request);
+
+      const matching = this.routes.filter(([, pattern]) =>
+        pattern.test(url.pathname)
+      );
+      if (matching.length === 0) throw httpError(404, "Not found");
+
+      const route = matching.find(([method]) => method === request.method);
+      if (!route) {
+        response.setHeader(
+          "Allow",
+          matching.map(([method]) => method).join(", ")
+        );
+        throw httpError(405, "Method not allowed");
+      }
+
+      const [, pattern, handler, options = {}] = route;
+      if (!options.public && !this.isAuthorized(request)) {
+        response.setHeader("WWW-Authenticate", "Bearer");
+        throw httpError(401, "Missing or invalid API token");
+      }
+
+      const { status = 200, body } = await handler(
+        url.pathname.match(pattern),
+        url
+      );
+      this.send(response, status, body);
+    } catch (error) {
+      if (!error.status) {
+        this.logger.error(
+          `API ${request.method} ${request.url} failed:`,
+          error
+        );
+      }
+      this.send(response, error.status || 500, {
+        error: error.status ? error.message : "Internal server error",
+      });
+    }
+  }
+
+  isAuthorized(request) {
+    const [scheme, token] = (request.headers.authorization || "").split(" ");
+    return scheme === "Bearer" && tokensMatch(this.token, token);
+  }
+
+  send(response, status, body) {
+    response.writeHead(status, {
+      "Content-Type": "application/json; charset=utf-8",
+      "Cache-Control": "no-store",
+    });
+    response.end(JSON.stringify(body));
+  }
+
+  today() {
+    return getZonedDay(new Date(), this.scheduler.config.timezone).date;
+  }
+
+  async getHealth() {
+    const status = this.scheduler.getStatus();
+    return {
+      body: {
+        status: "ok",
+        isRunning: status.isRunning,
+        isJobRunning: status.isJobRunning,
+        nextRun: status.nextRun,
+        lastRun: await this.scheduler.getLastRun(),
+      },
+    };
+  }
+
+  // Same shape as menus.json from the exports
+  async getTodaysMenus() {
+    const day = this.today();
+    const results = await this.scheduler.store.getLatestResults(day);
+
+    return {
+      body: {
+        schemaVersion: EXPORT_SCHEMA_VERSION,
+        day,
+        restaurants: results.map(toExportedRestaurant),
+      },
+    };
+  }
+
+  getSites() {
+    return {
+      body: this.scheduler.config.sitesConfig.sites.map((site) => ({
+        id: site.id || null,
+        name: site.name,
+        url: site.url,
+        enabled: site.enabled,
+        mode: site.mode,
+        updates: site.updates,
+      })),
+    };
+  }
+
+  // Summaries of the most recent runs, newest first; filtered with ?from=,
+  // ?to=, ?trigger= and ?limit= (at most 100)
+  async getRuns(url) {
+    const limit = Math.min(
+      Math.max(parseInt(url.searchParams.get("limit")) || 20, 1),
+      MAX_RUNS
+    );
+    const runs = await this.scheduler.store.getRuns({
+      from: url.searchParams.get("from"),
+      to: url.searchParams.get("to"),
+      trigger: url.searchParams.get("trigger"),
+      limit,
+    });
+
+    return { body: runs.reverse().map(summarizeRun) };
+  }
+
+  async getRun(id) {
+    const run = await this.scheduler.store.getRun(id);
+    if (!run) throw httpError(404, `Run ${id} not found`);
+
+    return { body: run };
+  }
+
+  // Starts a scrape like the scheduled one and answers right away with the
+  // id the run is stored under; GET /runs/:id finds it once it has finished
+  triggerRun() {
+    if (this.scheduler.isJobRunning) {
+      throw httpError(409, "A scraping job is already running");
+    }
+
+    const runId = randomUUID();
+    this.scheduler
+      .runScrapingJob("api", { runId })
+      .catch((error) =>
+        this.logger.error(`Run ${runId} started through the API failed:`, error)
+      );
+
+    return {
+      status: 202,
+      body: { status: "started", trigger: "api", runId },
+    };
+  }
+}
@@ -0,0 +1,49 @@
+export const SOLD_OUT_DISPLAYS = ["strike", "hide"];
+
+// `soldOut` is "strike" (default) to cross sold-out items out, or "hide" to
+// leave them out of the menu post
+export function resolveSoldOutDisplay(settings) {
+  const display = settings.soldOut ?? "strike";
+
+  if (!SOLD_OUT_DISPLAYS.includes(display)) {
+    throw new Error(
+      `Invalid soldOut "${display}" (expected ${SOLD_OUT_DISPLAYS.join(
+        " or "
+      )})`
+    );
+  }
+
+  return display;
+}
+
+export function isSoldOut(item) {
+  return item.available === false;
+}
+
+// Items sold out in `currentResults` that were still available (or not
+// listed) in `previousResults`, grouped by restaurant. Without previous
+// results every sold-out item counts as new.
+export function findNewlySoldOut(previousResults = [], currentResults) {
+  const previousByName = new Map(
+    previousResults.map((result) => [result.name, result])
+  );
+
+  return currentResults
+    .filter((result) => result.success)
+    .map((result) => {
+      const alreadySoldOut = new Set(
+        (previousByName.get(result.name)?.menuData?.items || [])
+          .filter(isSoldOut)
+          .map((item) => item.id)
+      );
+
+      return {
+        name: result.name,
+        url: result.url,
+        items: (result.menuData?.items || []).filter(
+          (item) => isSoldOut(item) && !alreadySoldOut.has(item.id)
+        ),
+      };
+    })
+    .filter((change) => change.items.length > 0);
+}
@@ -0,0 +1,133 @@
+import { getWeekdayName, parseWeekday } from "./menu-date.js";
+
+export const MENU_STATUS = {
+  AVAILABLE: "available",
+  NO_MENU: "no-menu",
+  CLOSED: "closed",
+};
+
+const SHORT_WEEKDAYS = {
+  ne: 0,
+  sun: 0,
+  po: 1,
+  mon: 1,
+  ut: 2,
+  tue: 2,
+  st: 3,
+  wed: 3,
+  št: 4,
+  thu: 4,
+  pi: 5,
+  fri: 5,
+  so: 6,
+  sat: 6,
+};
+
+// Runs inside the page via page.evaluate like extractDailyMenu, so it must
+// stay self-contained. Collects the visible page text and the text of any
+// visible element matching `closedSelectors`.
+export function collectClosureSignals({ closedSelectors = [] }, doc) {
+  const root = doc || document;
+  const isVisible = (element) =>
+    typeof element.getClientRects !== "function" ||
+    element.getClientRects().length > 0;
+
+  return {
+    text: root.body?.innerText || root.body?.textContent || "",
+    selectorTexts: closedSelectors
+      .flatMap((selector) => [...root.querySelectorAll(selector)])
+      .filter(isVisible)
+      .map((element) =>
+        (element.textContent || "").replace(/\s+/g, " ").trim()
+      ),
+  };
+}
+
+function toWeekday(name) {
+  const key = name?.toLowerCase();
+  return parseWeekday(key) ?? SHORT_WEEKDAYS[key] ?? null;
+}
+
+function isInRange(weekday, from, to) {
+  if (to === null) return weekday === from;
+  return from <= to
+    ? weekday >= from && weekday <= to
+    : weekday >= from || weekday <= to;
+}
+
+function toMonthDay(day, month) {
+  return Number(month) * 100 + Number(day);
+}
+
+// A period from December to January wraps around the new year
+function isInPeriod(date, from, to) {
+  const day = toMonthDay(date.substring(8, 10), date.substring(5, 7));
+  return from <= to ? day >= from && day <= to : day >= from || day <= to;
+}
+
+function lineAround(text, index) {
+  const start = text.lastIndexOf("\n", index) + 1;
+  const end = text.indexOf("\n", index);
+  return text
+    .substring(start, end === -1 ? text.length : end)
+    .replace(/\s+/g, " ")
+    .trim()
+    .substring(0, 200);
+}
+
+// Returns why the restaurant looks closed on `today`, or null. Checked in
+// order: elements matching closedSelectors, closed banners and notices,
+// announced closures whose period includes today, and opening hours listing
+// today as closed.
+export function detectClosure({ text, selectorTexts = [] }, rules, today) {
+  if (selectorTexts.length > 0) {
+    return {
+      source: "selector",
+      reason: selectorTexts.find(Boolean) || "Closed notice on the page",
+    };
+  }
+
+  for (const pattern of rules.closedPatterns || []) {
+    const match = text.match(new RegExp(pattern, "i"));
+    if (match) {
+      return { source: "notice", reason: lineAround(text, match.index) };
+    }
+  }
+
+  if (rules.closedPeriodPattern && today.date) {
+    for (const match of text.matchAll(
+      new RegExp(rules.closedPeriodPattern, "gi")
+    )) {
+      const [, fromDay, fromMonth, toDay, toMonth] = match;
+      if (
+        isInPeriod(
+          today.date,
+          toMonthDay(fromDay, fromMonth),
+          toMonthDay(toDay, toMonth)
+        )
+      ) {
+        return { source: "notice", reason: lineAround(text, match.index) };
+      }
+    }
+  }
+
+  if (rules.openingHoursPattern) {
+    for (const match of text.matchAll(
+      new RegExp(rules.openingHoursPattern, "gi")
+    )) {
+      const from = toWeekday(match[1]);
+      const to = match[2] ? toWeekday(match[2]) : null;
+
+      if (from !== null && isInRange(today.weekday, from, to)) {
+        return {
+          source: "opening-hours",
+          reason: `Closed on ${getWeekdayName(
+            today.weekday
+          )} according to the opening hours: "${match[0].trim()}"`,
+        };
+      }
+    }
+  }
+
+  return null;
+}
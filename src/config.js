@@ -2,12 +2,31 @@ import { readFileSync } from "fs";
 import { fileURLToPath } from "url";
 import { dirname, join } from "path";
 import dotenv from "dotenv";
+import { resolveExtractionRules } from "./extraction-rules.js";
+import { resolveRetryPolicy } from "./retry-policy.js";
+import {
+  DEFAULT_PAGE_ACTIONS,
+  migrateCookieScript,
+  validatePageActions,
+} from "./page-actions.js";
+import { SCRAPE_MODES } from "./http-scraper.js";
+import { resolveNetworkRules } from "./network-extractor.js";
+import { resolveRequestBlocking } from "./request-blocking.js";
+import { resolveMenuScreenshot } from "./menu-screenshot.js";
+import { resolveScreenshotAnalysis } from "./screenshot-analyzers.js";
+import { resolveSoldOutDisplay } from "./availability.js";
+import { resolveRestaurantInfo } from "./restaurant-info.js";
+import { resolveExportSettings } from "./menu-export.js";
+import { resolveBoardSettings } from "./menu-board.js";
+import { resolveUpdateMode } from "./menu-diff.js";
 
 dotenv.config();
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 
+const migratedCookieScripts = new Set();
+
 export class Config {
   constructor() {
     this.loadSitesConfig();
@@ -20,11 +39,21 @@ export class Config {
       const configData = readFileSync(configPath, "utf8");
       const rawConfig = JSON.parse(configData);
 
-      if (rawConfig.settings && rawConfig.sites[0].cookieScript !== undefined) {
+      if (rawConfig.settings) {
         this.sitesConfig = this.parseCleanConfig(rawConfig);
       } else {
         this.sitesConfig = rawConfig;
       }
+
+      this.sitesConfig.sites = this.sitesConfig.sites.map(
+        ({ cookieScript, customScript, ...site }) => ({
+          ...site,
+          pageActions: this.resolvePageActions({
+            ...site,
+            cookieScript: cookieScript || customScript,
+          }),
+        })
+      );
     } catch (error) {
       console.error("Error loading sites configuration:", error.message);
       throw new Error("Failed to load sites configuration");
@@ -34,18 +63,47 @@ export class Config {
   parseCleanConfig(cleanConfig) {
     return {
       sites: cleanConfig.sites.map((site) => ({
+        id: site.id,
         name: site.name,
         url: site.url,
         enabled: site.enabled,
-        customScript: site.cookieScript,
+        mode: this.resolveScrapeMode(site, cleanConfig.settings),
+        pageActions: site.pageActions,
+        cookieScript: site.cookieScript,
         waitForSelector: 'main, [role="main"]',
-        screenshots: true,
+        screenshots: site.screenshots ?? true,
+        menuScreenshot: resolveMenuScreenshot(site, cleanConfig.settings),
+        screenshotAnalysis: site.screenshotAnalysis ?? true,
         emoji: site.emoji,
         color: site.color,
+        extraction: resolveExtractionRules(
+          site.extraction,
+          cleanConfig.settings.extraction
+        ),
+        network: resolveNetworkRules(
+          site.network,
+          cleanConfig.settings.network
+        ),
+        requestBlocking: resolveRequestBlocking(
+          site.requestBlocking,
+          cleanConfig.settings.requestBlocking
+        ),
+        restaurantInfo: resolveRestaurantInfo(
+          site.restaurantInfo,
+          cleanConfig.settings.restaurantInfo
+        ),
+        updates: resolveUpdateMode(site, cleanConfig.settings),
+        retry: resolveRetryPolicy(site, cleanConfig.settings),
       })),
       globalSettings: {
         ...cleanConfig.settings,
         screenshotPath: cleanConfig.settings.screenshotPath,
+        storePath: cleanConfig.settings.storePath || "./data",
+        export: resolveExportSettings(cleanConfig.settings.export),
+        board: resolveBoardSettings(cleanConfig.settings.board),
+        screenshotAnalysis: resolveScreenshotAnalysis(
+          cleanConfig.settings.screenshotAnalysis
+        ),
       },
       formatting: {
         emojis: cleanConfig.sites.reduce(
@@ -62,14 +120,71 @@ export class Config {
           },
           { default: cleanConfig.settings.defaults.color }
         ),
+        soldOut: resolveSoldOutDisplay(cleanConfig.settings),
+        restaurantInfo: cleanConfig.sites.reduce((acc, site) => {
+          acc[site.name] =
+            resolveRestaurantInfo(
+              site.restaurantInfo,
+              cleanConfig.settings.restaurantInfo
+            )?.display || false;
+          return acc;
+        }, {}),
       },
     };
   }
 
+  resolveScrapeMode(site, settings) {
+    const mode = site.mode || settings.mode || "browser";
+
+    if (!SCRAPE_MODES.includes(mode)) {
+      throw new Error(
+        `Invalid mode "${mode}" for ${site.name} (expected ${SCRAPE_MODES.join(
+          " or "
+        )})`
+      );
+    }
+
+    return mode;
+  }
+
+  // Sites still using a cookieScript string are migrated to page actions
+  // when loaded; the script itself is never executed. The warning is shown
+  // once per site, however often the configuration is loaded.
+  resolvePageActions(site) {
+    if (site.pageActions) {
+      return validatePageActions(site.pageActions, site.name);
+    }
+    if (!site.cookieScript?.trim()) return DEFAULT_PAGE_ACTIONS;
+
+    const pageActions = migrateCookieScript(site.cookieScript, site.name);
+    if (!migratedCookieScripts.has(site.name)) {
+      migratedCookieScripts.add(site.name);
+      console.warn(
+        `${
+          site.name
+        }: cookieScript is deprecated, migrated to pageActions: ${JSON.stringify(
+          pageActions
+        )}`
+      );
+    }
+
+    return validatePageActions(pageActions, site.name);
+  }
+
   loadEnvironmentConfig() {
     this.discordWebhookUrl = process.env.DISCORD_WEBHOOK_URL;
     this.scrapeSchedule = process.env.SCRAPE_SCHEDULE || "30 11 * * 1-5";
+    this.recheckSchedule = process.env.RECHECK_SCHEDULE || null;
+    this.priceReportSchedule = process.env.PRICE_REPORT_SCHEDULE || null;
+    this.digestSchedule = process.env.DIGEST_SCHEDULE || null;
+    this.timezone = process.env.TIMEZONE || "Europe/Bratislava";
     this.pageTimeout = parseInt(process.env.PAGE_TIMEOUT) || 30000;
+    this.snapshotMode = process.env.SNAPSHOT_MODE || null;
+    this.snapshotPath = process.env.SNAPSHOT_PATH || "./snapshots";
+    this.visionApiKey = process.env.VISION_API_KEY || null;
+    this.apiPort = parseInt(process.env.API_PORT) || null;
+    this.apiHost = process.env.API_HOST || "127.0.0.1";
+    this.apiToken = process.env.API_TOKEN || null;
 
     if (!this.discordWebhookUrl) {
       console.error("DISCORD_WEBHOOK_URL is required in .env file");
@@ -97,6 +212,7 @@ export class Config {
         colors: {
           default: "0x3498db",
         },
+        soldOut: "strike",
       }
     );
   }
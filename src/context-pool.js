@@ -0,0 +1,45 @@
+// Bounds how many browser contexts are open at once. Every task gets a fresh
+// context that is closed when the task finishes, so no cookies, storage or
+// page state leak between sites or attempts.
+export class ContextPool {
+  constructor(createContext, size = 1) {
+    this.createContext = createContext;
+    this.size = Math.max(1, parseInt(size) || 1);
+    this.active = 0;
+    this.waiting = [];
+  }
+
+  async acquire() {
+    if (this.active < this.size) {
+      this.active++;
+      return;
+    }
+
+    // The releasing task hands its slot over, so `active` stays unchanged
+    await new Promise((resolve) => this.waiting.push(resolve));
+  }
+
+  release() {
+    const next = this.waiting.shift();
+    if (next) {
+      next();
+    } else {
+      this.active--;
+    }
+  }
+
+  async withContext(task) {
+    await this.acquire();
+
+    let context = null;
+    try {
+      context = await this.createContext();
+      return await task(context);
+    } finally {
+      if (context) {
+        await context.close().catch(() => {});
+      }
+      this.release();
+    }
+  }
+}
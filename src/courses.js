@@ -0,0 +1,44 @@
+export const COURSES = [
+  { key: "soup", title: "Soups", emoji: "🥣", numberLabel: "Polievka" },
+  { key: "main", title: "Mains", emoji: "🍽️", numberLabel: "Menu" },
+  { key: "side", title: "Sides", emoji: "🍟", numberLabel: "Príloha" },
+  { key: "dessert", title: "Desserts", emoji: "🍰", numberLabel: "Dezert" },
+  { key: "drink", title: "Drinks", emoji: "🥤", numberLabel: "Nápoj" },
+];
+
+export function getCourse(key) {
+  return COURSES.find((course) => course.key === key) || null;
+}
+
+// "Menu 2: Kurací rezeň" for numbered items, the plain name otherwise
+export function formatItemLabel(item) {
+  const numberLabel =
+    item.menuNumber != null ? getCourse(item.course)?.numberLabel : null;
+  return numberLabel
+    ? `${numberLabel} ${item.menuNumber}: ${item.name}`
+    : item.name;
+}
+
+// Patterns anchored with ^ are tried first, so a "Menu 2:" prefix wins over
+// a soup keyword later in the name; ties go to the earlier course in COURSES
+export function classifyCourse(text, rules) {
+  for (const anchored of [true, false]) {
+    for (const course of COURSES) {
+      const patterns = (rules.coursePatterns?.[course.key] || []).filter(
+        (pattern) => pattern.startsWith("^") === anchored
+      );
+      if (patterns.some((pattern) => new RegExp(pattern, "i").test(text))) {
+        return course.key;
+      }
+    }
+  }
+
+  return rules.defaultCourse;
+}
+
+export function parseMenuNumber(text, rules) {
+  if (!rules.menuNumberPattern) return null;
+
+  const match = text.match(new RegExp(rules.menuNumberPattern, "i"));
+  return match ? Number(match[1]) : null;
+}
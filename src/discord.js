@@ -1,8 +1,18 @@
 import axios from "axios";
 import { Logger } from "./logger.js";
-import { readdir, unlink } from "fs/promises";
+import { readdir, readFile, unlink } from "fs/promises";
 import { join } from "path";
 
+// Drops embed images pointing at attachments that are not being uploaded
+function withoutAttachments(payload) {
+  return {
+    ...payload,
+    embeds: payload.embeds?.map(({ image, ...embed }) =>
+      image?.url?.startsWith("attachment://") ? embed : { ...embed, image }
+    ),
+  };
+}
+
 export class DiscordNotifier {
   constructor(webhookUrl) {
     this.webhookUrl = webhookUrl;
@@ -10,10 +20,11 @@ export class DiscordNotifier {
     this.rateLimitDelay = 1000;
   }
 
+  // Resolves to whether every message was sent
   async sendMenuUpdates(messages, screenshotPath = "./screenshots") {
     if (!messages || messages.length === 0) {
       this.logger.warn("No messages to send to Discord");
-      return;
+      return true;
     }
 
     this.logger.info(`Sending ${messages.length} messages to Discord`);
@@ -43,16 +54,24 @@ export class DiscordNotifier {
     if (allMessagesSent) {
       await this.cleanupScreenshots(screenshotPath);
     }
+
+    return allMessagesSent;
   }
 
   async sendMessage(messageData) {
+    const { files = [], ...payload } = messageData;
+
     try {
-      const response = await axios.post(this.webhookUrl, messageData, {
-        headers: {
-          "Content-Type": "application/json",
-        },
-        timeout: 10000,
-      });
+      const attachments = await this.readAttachments(files);
+      const response =
+        attachments.length > 0
+          ? await this.postWithAttachments(payload, attachments)
+          : await axios.post(this.webhookUrl, withoutAttachments(payload), {
+              headers: {
+                "Content-Type": "application/json",
+              },
+              timeout: 10000,
+            });
 
       if (response.status === 204) {
         return true;
@@ -74,6 +93,48 @@ export class DiscordNotifier {
     }
   }
 
+  async readAttachments(files) {
+    const attachments = [];
+
+    for (const file of files) {
+      try {
+        attachments.push({ name: file.name, data: await readFile(file.path) });
+      } catch (error) {
+        this.logger.warn(
+          `Sending without attachment ${file.name}: ${error.message}`
+        );
+      }
+    }
+
+    return attachments;
+  }
+
+  // Files go in a multipart body next to the JSON payload; embeds refer to
+  // them as attachment://<name>
+  async postWithAttachments(payload, attachments) {
+    const form = new FormData();
+    form.append(
+      "payload_json",
+      JSON.stringify({
+        ...payload,
+        attachments: attachments.map((attachment, index) => ({
+          id: index,
+          filename: attachment.name,
+        })),
+      })
+    );
+
+    attachments.forEach((attachment, index) => {
+      form.append(
+        `files[${index}]`,
+        new Blob([attachment.data], { type: "image/png" }),
+        attachment.name
+      );
+    });
+
+    return await axios.post(this.webhookUrl, form, { timeout: 30000 });
+  }
+
   async sendTestMessage() {
     const testMessage = {
       embeds: [
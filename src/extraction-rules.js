@@ -0,0 +1,172 @@
+const WEEKDAYS_SK = "pondelok|utorok|streda|štvrtok|piatok|sobota|nedeľa";
+const WEEKDAYS_EN = "monday|tuesday|wednesday|thursday|friday|saturday|sunday";
+const WEEKDAYS_SHORT = "po|ut|st|št|pi|so|ne|mon|tue|wed|thu|fri|sat|sun";
+const WEEKDAY = `(${WEEKDAYS_SK}|${WEEKDAYS_EN}|${WEEKDAYS_SHORT})`;
+
+// Patterns are stored as strings so the rules can be passed into page.evaluate
+// and overridden from sites.json. All patterns are compiled case-insensitive.
+export const DEFAULT_EXTRACTION_RULES = {
+  sectionSelectors: ["section", "div", "article", "main", '[role="region"]'],
+  sectionPatterns: [
+    `denné menu (${WEEKDAYS_SK})`,
+    `daily menu (${WEEKDAYS_EN})`,
+    `denne menu (${WEEKDAYS_SK})`,
+  ],
+  sectionKeywords: ["denné menu", "položiek"],
+  excludePatterns: [
+    "obľúbené",
+    "oblubene",
+    "populárne",
+    "popular",
+    "favorites",
+    "burger central",
+    "domáca slovenská klasika",
+    "hlavné jedlá",
+  ],
+  itemSelector: "li",
+  itemRequiredText: "€",
+  minItemLength: 15,
+  skipItemPatterns: ["Denné menu", "položiek", "Zobraz viac"],
+  nameSelector: null,
+  priceSelector: null,
+  descriptionSelector: null,
+  pricePattern: "(od\\s+)?(\\d+,\\d+)\\s*€",
+  namePrefixPattern:
+    "^(Samostatná polievka:\\s*|Polievka [0-9]:\\s*|Menu [0-9]:\\s*)",
+  descriptionStripPatterns: [
+    "popis jedla.*$",
+    "\\d+,\\d+\\s*€.*$",
+    "\\d+,\\d+kg.*$",
+    "\\d+,\\d+l.*$",
+  ],
+  // A lone number in parentheses, like "Menu (2)", is not taken for a code
+  allergenPattern:
+    "\\b(?:A|Alerg[ée]ny)\\s*:\\s*(\\d{1,2}[a-z]?(?:\\s*[,.]\\s*\\d{1,2}[a-z]?)*)|\\((\\d{1,2}[a-z]?(?:\\s*[,.]\\s*\\d{1,2}[a-z]?)+|\\d{1,2}[a-z])\\)",
+  portionPattern: "(\\d+(?:[,.]\\d+)?)\\s*(kg|g|ml|cl|dl|l|ks)(?![a-zá-ž])",
+  coursePatterns: {
+    soup: ["^(samostatná\\s+)?polievka", "polievka", "vývar", "\\bkrém\\b"],
+    main: ["^menu\\s*(č\\.\\s*)?\\d*\\s*:"],
+    // Only a bare salad is a side, "Šalát Caesar s kuracím mäsom" is a main
+    side: [
+      "^príloha",
+      "^(hranolky|ryža|zemiaky|knedľa|pečivo)\\b",
+      "^([a-zá-ž]+\\s+)?šalát\\s*(\\d|$)",
+    ],
+    dessert: [
+      "^dezert",
+      "dezert",
+      "koláč",
+      "palacink",
+      "štrúdľa",
+      "buchty",
+      "tiramisu",
+    ],
+    // Whole words only, so "Pivovarský guláš" stays a main
+    drink: [
+      "^nápoj",
+      "\\b(limonáda|kofola|pivo|džús|minerálka)(?![a-zá-ž])",
+      "^(káva|čaj)\\b",
+    ],
+  },
+  defaultCourse: "main",
+  menuNumberPattern: "^(?:menu|polievka)\\s*(?:č\\.\\s*)?(\\d+)\\s*:",
+  menuDayPattern:
+    "(?:denné|denne|daily) menu\\s*([a-záčďéíĺľňóôŕšťúýž]+)?\\s*(?:(\\d{1,2})\\.\\s*(\\d{1,2})\\.(?:\\s*(\\d{4}))?)?",
+  categoryPattern: "(Denné menu [a-záčďéíĺľňóôŕšťúýž]+|Daily menu|Menu dňa)",
+  defaultCategory: "Daily Menu",
+  defaultDescription: "Daily menu item",
+  soldOutPatterns: [
+    "vypredan[éeáýí]",
+    "(momentálne |dočasne )?nedostupn[éeáýí]",
+    "sold out",
+    "unavailable",
+  ],
+  soldOutSelectors: [
+    "button[disabled]",
+    '[aria-disabled="true"]',
+    '[class*="sold-out"]',
+    '[class*="soldout"]',
+    '[class*="unavailable"]',
+  ],
+  soldOutMaxOpacity: 0.6,
+  closedPatterns: [
+    "dnes (máme |sme )?zatvoren[éeáý]",
+    "dnes nevaríme",
+    "(dočasne|momentálne) zatvoren[éeáý]",
+    "(reštaurácia|prevádzka) je (dnes |dočasne |momentálne )?zatvoren[áa]",
+    "(momentálne|dnes) neprijíma(me)? objednávky",
+    "objednávky (sú )?(momentálne|dnes) (pozastavené|nedostupné)",
+    "closed today",
+    "temporarily closed",
+    "not accepting orders",
+  ],
+  closedSelectors: [],
+  // Holidays announced ahead, e.g. "Dovolenka od 22.12. do 6.1.", only close
+  // the restaurant on the days in between; groups 1-4 are the first day and
+  // month and the last day and month
+  closedPeriodPattern:
+    "(?:dovolenk[aeuy]|zatvoren[éeáý]|sviatk[ouy]?|closed)[^\\n\\d]{0,30}?(\\d{1,2})\\.\\s*(\\d{1,2})\\.?(?:\\s*\\d{4})?\\s*(?:do|[-–]|to|until)\\s*(\\d{1,2})\\.\\s*(\\d{1,2})\\.?",
+  openingHoursPattern: `(?<![a-zá-ž])${WEEKDAY}\\.?(?:\\s*[-–]\\s*${WEEKDAY}\\.?)?\\s*:?\\s*(?:zatvoren[éeáý]|closed)`,
+};
+
+const PATTERN_KEYS = [
+  "pricePattern",
+  "namePrefixPattern",
+  "menuNumberPattern",
+  "menuDayPattern",
+  "allergenPattern",
+  "portionPattern",
+  "categoryPattern",
+  "openingHoursPattern",
+  "closedPeriodPattern",
+];
+const PATTERN_LIST_KEYS = [
+  "sectionPatterns",
+  "descriptionStripPatterns",
+  "soldOutPatterns",
+  "closedPatterns",
+];
+const MERGED_KEYS = ["coursePatterns"];
+
+export function resolveExtractionRules(siteRules = {}, globalRules = {}) {
+  const rules = {
+    ...DEFAULT_EXTRACTION_RULES,
+    ...(globalRules || {}),
+    ...(siteRules || {}),
+  };
+
+  for (const key of MERGED_KEYS) {
+    rules[key] = {
+      ...DEFAULT_EXTRACTION_RULES[key],
+      ...(globalRules || {})[key],
+      ...(siteRules || {})[key],
+    };
+  }
+
+  for (const key of Object.keys(rules)) {
+    if (!(key in DEFAULT_EXTRACTION_RULES)) {
+      throw new Error(`Unknown extraction rule: ${key}`);
+    }
+  }
+
+  const patterns = [
+    ...PATTERN_KEYS.map((key) => [key, rules[key]]),
+    ...PATTERN_LIST_KEYS.flatMap((key) =>
+      (rules[key] || []).map((pattern) => [key, pattern])
+    ),
+    ...Object.entries(rules.coursePatterns).flatMap(([course, patterns]) =>
+      patterns.map((pattern) => [`coursePatterns.${course}`, pattern])
+    ),
+  ];
+
+  for (const [key, pattern] of patterns) {
+    if (!pattern) continue;
+    try {
+      new RegExp(pattern, "i");
+    } catch (error) {
+      throw new Error(`Invalid ${key} "${pattern}": ${error.message}`);
+    }
+  }
+
+  return rules;
+}
@@ -1,4 +1,20 @@
 import { Config } from "./config.js";
+import { formatPrice } from "./prices.js";
+import { formatAllergens } from "./allergens.js";
+import { formatPortion } from "./portions.js";
+import { COURSES, formatItemLabel, getCourse } from "./courses.js";
+import { formatMenuDay, MENU_FRESHNESS } from "./menu-date.js";
+import { MENU_STATUS } from "./closures.js";
+import { isSoldOut } from "./availability.js";
+import { POST_ACTIONS } from "./menu-diff.js";
+import { formatAverage, formatPriceChange } from "./price-history.js";
+import { DIGEST_DAY_STATUS } from "./weekly-digest.js";
+import { getRestaurantColor, getRestaurantEmoji } from "./restaurant-style.js";
+
+const MENU_SCREENSHOT_NAME = "daily-menu.png";
+// Up to seven weekdays plus favourites and reliability stay well within the
+// 6000 characters Discord allows per embed
+const DIGEST_FIELD_LENGTH = 600;
 
 export class MenuFormatter {
   constructor() {
@@ -14,7 +30,12 @@ export class MenuFormatter {
     const failedSites = scrapingResults.filter((result) => !result.success);
 
     for (const siteResult of successfulSites) {
-      const siteMessages = this.formatSiteMenu(siteResult);
+      if (siteResult.posted === POST_ACTIONS.SKIP) continue;
+
+      const siteMessages =
+        siteResult.posted === POST_ACTIONS.DIFF
+          ? [this.formatMenuDiff(siteResult)]
+          : this.formatSiteMenu(siteResult);
       messages.push(...siteMessages);
     }
 
@@ -42,14 +63,39 @@ export class MenuFormatter {
 
   formatSiteMenu(siteResult) {
     const messages = [];
-    const { name, url, menuData } = siteResult;
+    const {
+      name,
+      url,
+      menuData,
+      menuDay,
+      freshness,
+      menuScreenshotPath,
+      status,
+      closedReason,
+      restaurant,
+    } = siteResult;
+    const restaurantEmoji = this.getRestaurantEmoji(name);
+
+    if (status === MENU_STATUS.CLOSED) {
+      const embed = {
+        title: `🔒 ${restaurantEmoji} ${name} - closed today`,
+        description: closedReason || "The restaurant is closed today",
+        url: url,
+        color: 0x95a5a6,
+        timestamp: new Date().toISOString(),
+      };
+      this.addRestaurantInfo(embed, name, restaurant);
+      messages.push({ embeds: [embed] });
+      return messages;
+    }
 
     if (!menuData || menuData.items.length === 0) {
       messages.push({
         embeds: [
           {
             title: `${restaurantEmoji} ${name} - daily menu`,
-            description: "No daily menu available today",
+            description:
+              "No daily menu available today. The page shows no sign of being closed, so the menu may not be posted yet or the scraper may need a look.",
             url: url,
             color: 0xff9500,
             timestamp: new Date().toISOString(),
@@ -58,13 +104,27 @@ export class MenuFormatter {
       });
       return messages;
     }
-
-    const restaurantEmoji = this.getRestaurantEmoji(name);
+    const isStale = freshness === MENU_FRESHNESS.STALE;
+    const hideSoldOut = this.formattingConfig.soldOut === "hide";
+    const soldOutCount = menuData.items.filter(isSoldOut).length;
+    const items = hideSoldOut
+      ? menuData.items.filter((item) => !isSoldOut(item))
+      : menuData.items;
     const embed = {
-      title: `${restaurantEmoji} ${name} - daily menu`,
+      title: isStale
+        ? `⚠️ ${restaurantEmoji} ${name} - outdated daily menu`
+        : `${restaurantEmoji} ${name} - daily menu`,
       url: url,
-      description: `${menuData.items.length} items available`,
-      color: this.getRestaurantColor(name),
+      description: isStale
+        ? `This menu is for ${formatMenuDay(
+            menuDay
+          )}, not today. The restaurant has not updated it yet.`
+        : this.formatAvailability(
+            menuData.items.length - soldOutCount,
+            soldOutCount,
+            hideSoldOut
+          ),
+      color: isStale ? 0xff9500 : this.getRestaurantColor(name),
       timestamp: new Date().toISOString(),
       fields: [],
       footer: {
@@ -72,15 +132,17 @@ export class MenuFormatter {
       },
     };
 
-    const groupedItems = this.groupItemsByCategory(
-      menuData.items,
-      menuData.categories
-    );
+    this.addRestaurantInfo(embed, name, restaurant);
+
+    const groupedItems = this.groupItemsByCourse(items);
 
     let currentFieldLength = 0;
 
-    for (const [category, items] of Object.entries(groupedItems)) {
-      const categoryTitle = category === "uncategorized" ? "\u200b" : category;
+    for (const [courseKey, items] of Object.entries(groupedItems)) {
+      const course = getCourse(courseKey);
+      const categoryTitle = course
+        ? `${course.emoji} ${course.title}`
+        : "\u200b";
 
       const itemsText = items.map((item) => this.formatMenuItem(item)).join("");
 
@@ -94,7 +156,7 @@ export class MenuFormatter {
         currentFieldLength + fieldData.value.length >
         this.maxMessageLength - 500
       ) {
-        messages.push({ embeds: [embed] });
+        messages.push({ embeds: [{ ...embed }] });
 
         embed.fields = [];
         currentFieldLength = 0;
@@ -104,18 +166,96 @@ export class MenuFormatter {
       currentFieldLength += fieldData.value.length;
     }
 
-    if (embed.fields.length > 0) {
-      messages.push({ embeds: [embed] });
+    if (embed.fields.length > 0 || messages.length === 0) {
+      messages.push({ embeds: [{ ...embed }] });
+    }
+
+    if (menuScreenshotPath && messages.length > 0) {
+      this.attachMenuScreenshot(messages[0], menuScreenshotPath);
     }
 
     return messages;
   }
 
-  formatMenuItem(item) {
-    let formatted = `**${item.name}**\n`;
+  // The screenshot is uploaded with the message and shown as the embed image
+  attachMenuScreenshot(message, screenshotPath) {
+    message.embeds[0].image = { url: `attachment://${MENU_SCREENSHOT_NAME}` };
+    message.files = [{ name: MENU_SCREENSHOT_NAME, path: screenshotPath }];
+  }
+
+  formatRestaurantInfo(restaurant) {
+    if (!restaurant) return [];
+
+    const { openingHours, deliveryTime, deliveryFee, minimumOrder, rating } =
+      restaurant;
+    const delivery = [
+      deliveryTime &&
+        (deliveryTime.min === deliveryTime.max
+          ? `${deliveryTime.min} min`
+          : `${deliveryTime.min}–${deliveryTime.max} min`),
+      deliveryFee &&
+        (deliveryFee.amount === 0
+          ? "free delivery"
+          : `${formatPrice(deliveryFee)} delivery`),
+    ].filter(Boolean);
+
+    return [
+      openingHours && `🕒 ${openingHours.opens}–${openingHours.closes}`,
+      delivery.length > 0 && `🛵 ${delivery.join(", ")}`,
+      minimumOrder && `Min. order ${formatPrice(minimumOrder)}`,
+      rating &&
+        `⭐ ${rating.value.toLocaleString("sk-SK")}${
+          rating.count != null ? ` (${rating.count})` : ""
+        }`,
+    ].filter(Boolean);
+  }
+
+  // Shown in the footer or as a field, depending on the site's
+  // restaurantInfo display setting
+  addRestaurantInfo(embed, name, restaurant) {
+    const display = this.formattingConfig.restaurantInfo?.[name];
+    const parts = this.formatRestaurantInfo(restaurant);
+    if (!display || parts.length === 0) return;
 
-    if (item.price && item.price !== "N/A" && item.price.trim() !== "") {
-      formatted += `${item.price}\n\n`;
+    if (display === "field") {
+      embed.fields = [
+        {
+          name: "ℹ️ Pickup & delivery",
+          value: parts.join("\n"),
+          inline: false,
+        },
+        ...(embed.fields || []),
+      ];
+    } else {
+      embed.footer = {
+        text: [embed.footer?.text, ...parts].filter(Boolean).join(" · "),
+      };
+    }
+  }
+
+  formatAvailability(availableCount, soldOutCount, hideSoldOut) {
+    if (soldOutCount === 0) return `${availableCount} items available`;
+    if (availableCount === 0) return `All ${soldOutCount} items are sold out`;
+
+    return `${availableCount} items available, ${soldOutCount} sold out${
+      hideSoldOut ? " (not listed)" : ""
+    }`;
+  }
+
+  formatMenuItem(item) {
+    const label = formatItemLabel(item);
+    let formatted = isSoldOut(item)
+      ? `~~**${label}**~~ · sold out\n`
+      : `**${label}**\n`;
+
+    const details = [
+      formatPrice(item.price),
+      formatPortion(item.portion),
+      formatAllergens(item.allergens),
+    ].filter(Boolean);
+
+    if (details.length > 0) {
+      formatted += `${details.join(" · ")}\n\n`;
     } else {
       formatted += `\n`;
     }
@@ -123,33 +263,259 @@ export class MenuFormatter {
     return formatted;
   }
 
-  groupItemsByCategory(items, categories = []) {
-    const grouped = { uncategorized: [] };
+  // Posted instead of the full menu when a later run finds changes
+  formatMenuDiff(siteResult) {
+    const { name, url, diff } = siteResult;
+    const listNames = (items) =>
+      items.map((item) => `• ${item.name}`).join("\n");
 
-    categories.forEach((category) => {
-      grouped[category] = [];
+    const sections = [
+      [
+        "➕ Added",
+        diff.added.map((item) => this.formatMenuItem(item)).join(""),
+      ],
+      [
+        "➖ Removed",
+        diff.removed.map((item) => `• ~~${item.name}~~`).join("\n"),
+      ],
+      [
+        "💶 Price changed",
+        diff.priceChanged
+          .map(
+            ({ item, previousPrice }) =>
+              `• ${item.name}: ${formatPrice(previousPrice) || "no price"} → ${
+                formatPrice(item.price) || "no price"
+              }`
+          )
+          .join("\n"),
+      ],
+      ["🚫 Sold out", listNames(diff.soldOut)],
+      ["✅ Available again", listNames(diff.backInStock)],
+    ];
+
+    return {
+      embeds: [
+        {
+          title: `✏️ ${this.getRestaurantEmoji(name)} ${name} - menu updated`,
+          url: url,
+          description: "Changes since the last post today",
+          color: this.getRestaurantColor(name),
+          fields: sections
+            .filter(([, value]) => value)
+            .map(([title, value]) => ({
+              name: title,
+              value: value.trim().substring(0, 1024),
+              inline: false,
+            })),
+          timestamp: new Date().toISOString(),
+          footer: {
+            text: `Updated at ${new Date().toLocaleTimeString()}`,
+          },
+        },
+      ],
+    };
+  }
+
+  formatPriceReport(report) {
+    const list = (lines) =>
+      lines.length > 0 ? lines.join("\n").substring(0, 1024) : "None";
+
+    return {
+      embeds: [
+        {
+          title: "💶 Weekly price report",
+          description:
+            report.restaurants.length > 0
+              ? `Daily menu prices from ${report.from} to ${report.to}`
+              : `No menus were stored from ${report.from} to ${report.to}`,
+          color: 0x3498db,
+          fields: [
+            {
+              name: "Average main course",
+              value: list(
+                report.restaurants.map(
+                  (restaurant) =>
+                    `${this.getRestaurantEmoji(restaurant.site)} ${
+                      restaurant.site
+                    }: ${formatAverage(restaurant)}`
+                )
+              ),
+              inline: false,
+            },
+            {
+              name: "📈 Price increases",
+              value: list(report.increases.map(formatPriceChange)),
+              inline: false,
+            },
+            {
+              name: "📉 Price decreases",
+              value: list(report.decreases.map(formatPriceChange)),
+              inline: false,
+            },
+            {
+              name: "🏷️ Cheapest options",
+              value: list(
+                report.cheapest.map(
+                  (entry) =>
+                    `${formatPrice(entry.price)} ${entry.name} (${entry.site})`
+                )
+              ),
+              inline: false,
+            },
+          ],
+          timestamp: new Date().toISOString(),
+        },
+      ],
+    };
+  }
+
+  // One message per restaurant, so each stays within Discord's embed limits
+  formatWeeklyDigest(digest) {
+    const period = `${formatMenuDay({ date: digest.from })}–${formatMenuDay({
+      date: digest.to,
+    })}`;
+
+    if (digest.restaurants.length === 0) {
+      return [
+        {
+          embeds: [
+            {
+              title: "📅 Weekly digest",
+              description: `No menus were stored for ${period}`,
+              color: 0xff9500,
+              timestamp: new Date().toISOString(),
+            },
+          ],
+        },
+      ];
+    }
+
+    return digest.restaurants.map((restaurant) => {
+      const { successful, scrapes, rate } = restaurant.reliability;
+
+      return {
+        embeds: [
+          {
+            title: `📅 ${this.getRestaurantEmoji(restaurant.name)} ${
+              restaurant.name
+            } - week of ${period}`,
+            url: restaurant.url,
+            description:
+              restaurant.noMenuDays.length > 0
+                ? `${restaurant.days.length - restaurant.noMenuDays.length}/${
+                    restaurant.days.length
+                  } days with a menu`
+                : `A menu on all ${restaurant.days.length} days`,
+            color: this.getRestaurantColor(restaurant.name),
+            fields: [
+              ...restaurant.days.map((day) => ({
+                name: formatMenuDay(day),
+                value: this.formatDigestDay(day),
+                inline: false,
+              })),
+              ...(restaurant.favourites.length > 0
+                ? [
+                    {
+                      name: "⭐ Recurring favourites",
+                      value: this.truncateLines(
+                        restaurant.favourites.map(
+                          (dish) => `• ${dish.name} (${dish.days} days)`
+                        )
+                      ),
+                      inline: false,
+                    },
+                  ]
+                : []),
+              {
+                name: "📊 Reliability",
+                value: `${successful}/${scrapes} scrapes succeeded (${Math.round(
+                  (rate ?? 0) * 100
+                )}%)`,
+                inline: false,
+              },
+            ],
+            timestamp: new Date().toISOString(),
+          },
+        ],
+      };
     });
+  }
 
-    items.forEach((item) => {
-      let assigned = false;
-
-      for (const category of categories) {
-        if (
-          item.name.toLowerCase().includes(category.toLowerCase()) ||
-          (item.description &&
-            item.description.toLowerCase().includes(category.toLowerCase()))
-        ) {
-          grouped[category].push(item);
-          assigned = true;
-          break;
-        }
-      }
+  formatDigestDay(day) {
+    switch (day.status) {
+      case DIGEST_DAY_STATUS.CLOSED:
+        return `🔒 Closed${day.closedReason ? `: ${day.closedReason}` : ""}`;
+      case DIGEST_DAY_STATUS.FAILED:
+        return `🔴 Scrape failed${day.error ? `: ${day.error}` : ""}`.substring(
+          0,
+          DIGEST_FIELD_LENGTH
+        );
+      case DIGEST_DAY_STATUS.NO_MENU:
+        return "🟠 No daily menu";
+      default:
+        return this.truncateLines(day.dishes.map((name) => `• ${name}`));
+    }
+  }
+
+  // Joins lines up to `maxLength`, ending with a count of the lines left out
+  truncateLines(lines, maxLength = DIGEST_FIELD_LENGTH) {
+    const kept = [];
+    let length = 0;
 
-      if (!assigned) {
-        grouped.uncategorized.push(item);
+    for (const [index, line] of lines.entries()) {
+      const more = `…and ${lines.length - index} more`;
+      if (length + line.length + more.length + 2 > maxLength) {
+        kept.push(more);
+        break;
       }
+      kept.push(line);
+      length += line.length + 1;
+    }
+
+    return kept.join("\n") || "\u200b";
+  }
+
+  // Posted by the mid-day re-check for items sold out since the last run
+  formatSoldOutUpdate(changes) {
+    return {
+      embeds: [
+        {
+          title: "🚫 Sold out since the menu was posted",
+          color: 0x95a5a6,
+          fields: changes.map(({ name, url, items }) => ({
+            name: `${this.getRestaurantEmoji(name)} ${name}`,
+            value: `${items
+              .map((item) => `~~${item.name}~~`)
+              .join("\n")}\n[Menu](${url})`.substring(0, 1024),
+            inline: false,
+          })),
+          timestamp: new Date().toISOString(),
+        },
+      ],
+    };
+  }
+
+  groupItemsByCourse(items) {
+    const grouped = {};
+
+    for (const course of COURSES) {
+      grouped[course.key] = [];
+    }
+    grouped.uncategorized = [];
+
+    items.forEach((item) => {
+      const key = getCourse(item.course) ? item.course : "uncategorized";
+      grouped[key].push(item);
     });
 
+    for (const group of Object.values(grouped)) {
+      group.sort(
+        (a, b) =>
+          (a.menuNumber ?? Number.MAX_SAFE_INTEGER) -
+          (b.menuNumber ?? Number.MAX_SAFE_INTEGER)
+      );
+    }
+
     Object.keys(grouped).forEach((key) => {
       if (grouped[key].length === 0) {
         delete grouped[key];
@@ -177,20 +543,11 @@ export class MenuFormatter {
   }
 
   getRestaurantEmoji(name) {
-    const emojis = this.formattingConfig.emojis || {
-      default: "🏪",
-    };
-    return emojis[name] || emojis.default;
+    return getRestaurantEmoji(this.formattingConfig, name);
   }
 
   getRestaurantColor(name) {
-    const colors = this.formattingConfig.colors || {
-      default: 0x3498db,
-    };
-    const colorValue = colors[name] || colors.default;
-    return typeof colorValue === "string"
-      ? parseInt(colorValue, 16)
-      : colorValue;
+    return getRestaurantColor(this.formattingConfig, name);
   }
 
   formatLogSummary(scrapingResults) {
@@ -201,8 +558,31 @@ export class MenuFormatter {
       .filter((r) => r.success)
       .reduce((sum, r) => sum + (r.menuData?.items?.length || 0), 0);
 
+    const duplicates = scrapingResults.reduce(
+      (sum, r) => sum + (r.duplicatesDropped || 0),
+      0
+    );
+    const closed = scrapingResults.filter(
+      (r) => r.status === MENU_STATUS.CLOSED
+    ).length;
+    const soldOut = scrapingResults.reduce(
+      (sum, r) => sum + (r.menuData?.items?.filter(isSoldOut).length || 0),
+      0
+    );
+    const unchanged = scrapingResults.filter(
+      (r) => r.posted === POST_ACTIONS.SKIP
+    ).length;
+    const blockedRequests = scrapingResults.reduce(
+      (sum, r) => sum + (r.requests?.blocked || 0),
+      0
+    );
+
     return `Scraping Summary: ${successful}/${total} sites successful, ${totalItems} total menu items found${
       failed > 0 ? `, ${failed} sites failed` : ""
-    }`;
+    }${closed > 0 ? `, ${closed} closed today` : ""}${
+      soldOut > 0 ? `, ${soldOut} sold out` : ""
+    }${unchanged > 0 ? `, ${unchanged} unchanged and not posted` : ""}${
+      duplicates > 0 ? `, ${duplicates} duplicate items dropped` : ""
+    }${blockedRequests > 0 ? `, ${blockedRequests} requests blocked` : ""}`;
   }
 }
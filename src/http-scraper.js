@@ -0,0 +1,64 @@
+import axios from "axios";
+import { parseHTML } from "linkedom";
+import { extractDailyMenu } from "./menu-extractor.js";
+import { collectClosureSignals } from "./closures.js";
+import { collectPageText } from "./restaurant-info.js";
+
+export const SCRAPE_MODES = ["browser", "http"];
+
+const CHALLENGE_INDICATORS = [
+  "verifying you are human",
+  "checking your browser",
+  "please wait while we check your browser",
+];
+
+// Fetches a page without a browser and runs the same extraction rules on the
+// server-rendered HTML. Nothing is scrolled or clicked, so every item in the
+// daily menu section counts as visible.
+export class HttpScraper {
+  constructor({ timeout = 30000, userAgent } = {}) {
+    this.timeout = timeout;
+    this.userAgent = userAgent;
+  }
+
+  async fetchDocument(url) {
+    const response = await axios.get(url, {
+      timeout: this.timeout,
+      responseType: "text",
+      headers: {
+        ...(this.userAgent && { "User-Agent": this.userAgent }),
+        Accept: "text/html,application/xhtml+xml",
+        "Accept-Language": "sk,en;q=0.8",
+      },
+    });
+
+    const { document } = parseHTML(response.data);
+    return { document, httpStatus: response.status };
+  }
+
+  async scrape(site, rules) {
+    const { document, httpStatus } = await this.fetchDocument(site.url);
+
+    const text = (document.body?.textContent || "").toLowerCase();
+    if (CHALLENGE_INDICATORS.some((indicator) => text.includes(indicator))) {
+      throw new Error("Page returned a bot challenge instead of content");
+    }
+
+    const dailyMenu = extractDailyMenu(
+      { rules, viewport: "http", visibleOnly: false },
+      document
+    );
+
+    // Without items the caller checks the closure signals; a page that
+    // renders its menu client-side looks the same as a missing menu
+    return {
+      ...dailyMenu,
+      closureSignals:
+        dailyMenu.items.length > 0
+          ? null
+          : collectClosureSignals(rules, document),
+      pageText: collectPageText(document),
+      httpStatus,
+    };
+  }
+}
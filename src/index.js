@@ -2,9 +2,15 @@
 
 import { MenuScraperScheduler } from "./scheduler.js";
 import { Logger } from "./logger.js";
+import { formatPriceReportText, getDishPriceHistory } from "./price-history.js";
+import { formatPrice } from "./prices.js";
+import { getZonedDay, shiftDay } from "./menu-date.js";
 
 const logger = new Logger();
 
+// Commands that only read the run history and need no browser
+const OFFLINE_COMMANDS = ["report", "digest", "board"];
+
 async function main() {
   const args = process.argv.slice(2);
   const command = args[0] || "start";
@@ -13,12 +19,15 @@ async function main() {
   global.schedulerInstance = scheduler;
 
   try {
-    await scheduler.initialize();
+    if (!OFFLINE_COMMANDS.includes(command)) {
+      await scheduler.initialize();
+    }
 
     switch (command) {
       case "start":
         logger.info("Starting Bistro Scraper in scheduled mode");
         scheduler.start();
+        await scheduler.startApiServer();
 
         logger.info("Scheduler is running. Press Ctrl+C to stop.");
         logger.info(
@@ -30,9 +39,44 @@ async function main() {
 
       case "run-once":
         logger.info("Running Bistro Scraper once");
-        await scheduler.runOnce();
+        await scheduler.runOnce({ outputDir: getOption(args, "--output") });
+        await scheduler.shutdown();
+        break;
+
+      case "recheck":
+        logger.info("Re-checking menu availability once");
+        await scheduler.runRecheckJob();
+        await scheduler.shutdown();
+        break;
+
+      case "record":
+        logger.info("Recording page snapshots");
+        await scheduler.recordSnapshots(args[1]);
+        await scheduler.shutdown();
+        break;
+
+      case "report":
+        await runReport(scheduler, args.slice(1));
+        await scheduler.shutdown();
+        break;
+
+      case "digest":
+        logger.info("Posting the weekly digest");
+        await scheduler.runDigestJob(parseInt(args[1]) || 7);
+        await scheduler.shutdown();
+        break;
+
+      case "board": {
+        const file = await scheduler.writeBoard([], new Date(), args[1]);
+        if (!file) {
+          logger.error(
+            "No board written: pass a file or set board.path in config/sites.json"
+          );
+          process.exit(1);
+        }
         await scheduler.shutdown();
         break;
+      }
 
       case "test-webhook":
         logger.info("Testing Discord webhook");
@@ -47,7 +91,10 @@ async function main() {
         break;
 
       case "status":
-        const status = scheduler.getStatus();
+        const status = {
+          ...scheduler.getStatus(),
+          lastRun: await scheduler.getLastRun(),
+        };
         console.log(JSON.stringify(status, null, 2));
         await scheduler.shutdown();
         break;
@@ -68,6 +115,51 @@ async function main() {
   }
 }
 
+function getOption(args, name) {
+  const index = args.indexOf(name);
+  return index !== -1 ? args[index + 1] : undefined;
+}
+
+async function runReport(scheduler, [report, ...options]) {
+  switch (report) {
+    case "prices": {
+      const days = parseInt(options[0]) || 7;
+      console.log(
+        formatPriceReportText(await scheduler.buildPriceReport(days))
+      );
+      break;
+    }
+
+    case "dish": {
+      const [name, days] = options;
+      if (!name) {
+        logger.error("Usage: node src/index.js report dish <name> [days]");
+        process.exit(1);
+      }
+
+      const history = await getDishPriceHistory(scheduler.store, name, {
+        from: shiftDay(
+          getZonedDay(new Date(), scheduler.config.timezone).date,
+          -(parseInt(days) || 90)
+        ),
+      });
+      for (const dish of history) {
+        console.log(`${dish.name} (${dish.site})`);
+        for (const price of dish.prices) {
+          console.log(`  ${price.day}  ${formatPrice(price)}`);
+        }
+      }
+      if (history.length === 0) console.log(`No prices stored for "${name}"`);
+      break;
+    }
+
+    default:
+      logger.error(`Unknown report: ${report}`);
+      showHelp();
+      process.exit(1);
+  }
+}
+
 function showHelp() {
   console.log(`
 Bistro Scraper - Automated Menu Scraping Tool
@@ -75,11 +167,17 @@ Bistro Scraper - Automated Menu Scraping Tool
 Usage: node src/index.js [command]
 
 Commands:
-  start          Start the scheduler (default)
-  run-once       Run scraping once and exit
-  test-webhook   Test Discord webhook connection
-  status         Show current configuration status
-  help           Show this help message
+  start                      Start the scheduler (default)
+  run-once [--output <dir>]  Run scraping once and exit, exporting to dir
+  recheck                    Re-check availability once and post sold-out items
+  record [dir]               Record page snapshots of enabled sites (default ./snapshots)
+  report prices [days]       Price changes and averages (default 7 days)
+  report dish <name> [days]  Price history of a dish (default 90 days)
+  digest [days]              Post the weekly digest now (default 7 days)
+  board [file]               Write the HTML menu board from today's stored menus
+  test-webhook               Test Discord webhook connection
+  status                     Show current configuration status
+  help                       Show this help message
 
 Environment Setup:
   1. Copy .env.example to .env
@@ -91,7 +189,9 @@ Environment Setup:
 Examples:
   npm start                    # Start scheduler
   npm run scrape              # Run once (via package.json script)
+  node src/index.js run-once --output public  # Run once and export the menus
   node src/index.js test-webhook  # Test Discord webhook
+  node src/index.js record test/fixtures  # Record test fixtures
   `);
 }
 
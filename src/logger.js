@@ -71,10 +71,19 @@ export class Logger {
       totalMenuItems: results
         .filter(r => r.success)
         .reduce((sum, r) => sum + (r.menuData?.items?.length || 0), 0),
+      duplicatesDropped: results.reduce((sum, r) => sum + (r.duplicatesDropped || 0), 0),
+      requestsBlocked: results.reduce((sum, r) => sum + (r.requests?.blocked || 0), 0),
       sites: results.map(r => ({
         name: r.name,
         success: r.success,
+        mode: r.mode || null,
+        status: r.status || null,
+        closedReason: r.closedReason || null,
+        posted: r.posted || null,
         itemCount: r.menuData?.items?.length || 0,
+        duplicatesDropped: r.duplicatesDropped || 0,
+        attempts: r.attempts?.length || 0,
+        requests: r.requests || null,
         error: r.error || null
       }))
     };
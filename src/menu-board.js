@@ -0,0 +1,256 @@
+import { mkdir, readFile, stat } from "fs/promises";
+import path from "path";
+import { formatPrice } from "./prices.js";
+import { formatAllergens } from "./allergens.js";
+import { formatPortion } from "./portions.js";
+import { COURSES, formatItemLabel, getCourse } from "./courses.js";
+import { formatMenuDay, MENU_FRESHNESS, toMenuDay } from "./menu-date.js";
+import { MENU_STATUS } from "./closures.js";
+import { isSoldOut } from "./availability.js";
+import { escapeXml, writeFileAtomically } from "./menu-export.js";
+import { getRestaurantColor, getRestaurantEmoji } from "./restaurant-style.js";
+
+const DEFAULT_BOARD = {
+  path: null,
+  title: "Daily menus",
+  refreshMinutes: 5,
+};
+
+// Inlined screenshots make the page self-contained; larger ones are left out
+// so one tall menu cannot make the page too heavy for the office TV
+const MAX_THUMBNAIL_BYTES = 1024 * 1024;
+
+// `board` in settings writes the page to `board.path` after every scheduled
+// run; `refreshMinutes` reloads it in the browser (0 turns that off)
+export function resolveBoardSettings(settings) {
+  if (!settings) return null;
+
+  const board = { ...DEFAULT_BOARD, ...settings };
+
+  for (const key of Object.keys(board)) {
+    if (!(key in DEFAULT_BOARD)) {
+      throw new Error(`Unknown board setting: ${key}`);
+    }
+  }
+
+  if (typeof board.path !== "string" || !board.path) {
+    throw new Error("board.path must be a file path");
+  }
+  if (!Number.isInteger(board.refreshMinutes) || board.refreshMinutes < 0) {
+    throw new Error("board.refreshMinutes must be a whole number of minutes");
+  }
+
+  return board;
+}
+
+function toCssColor(color) {
+  return `#${color.toString(16).padStart(6, "0")}`;
+}
+
+// The menu screenshot as a data URI, or null when it is missing or too large
+export async function loadThumbnail(screenshotPath) {
+  if (!screenshotPath) return null;
+
+  try {
+    if ((await stat(screenshotPath)).size > MAX_THUMBNAIL_BYTES) return null;
+    const image = await readFile(screenshotPath);
+    return `data:image/png;base64,${image.toString("base64")}`;
+  } catch (error) {
+    return null;
+  }
+}
+
+const STYLES = `
+  * { box-sizing: border-box; }
+  body { margin: 0; padding: 24px; background: #1e1f22; color: #f2f3f5;
+    font-family: system-ui, -apple-system, "Segoe UI", Roboto, sans-serif; }
+  header { display: flex; justify-content: space-between; align-items: baseline;
+    margin-bottom: 24px; }
+  h1 { margin: 0; font-size: 2rem; }
+  .updated { color: #b5bac1; }
+  .board { display: grid; gap: 20px;
+    grid-template-columns: repeat(auto-fill, minmax(340px, 1fr)); }
+  .card { background: #2b2d31; border-radius: 8px; border-top: 6px solid;
+    padding: 16px 20px; }
+  .card h2 { margin: 0 0 8px; font-size: 1.4rem; }
+  .card h2 a { color: inherit; text-decoration: none; }
+  .card h3 { margin: 16px 0 6px; font-size: 1.05rem; color: #b5bac1; }
+  .badge { display: inline-block; margin: 0 6px 8px 0; padding: 2px 10px;
+    border-radius: 999px; font-size: 0.85rem; font-weight: 600; }
+  .badge.stale, .badge.no-menu { background: #ff9500; color: #1e1f22; }
+  .badge.closed { background: #95a5a6; color: #1e1f22; }
+  .badge.failed { background: #ed4245; }
+  .note { color: #b5bac1; margin: 4px 0; }
+  .thumbnail { display: block; max-width: 100%; max-height: 220px;
+    margin: 8px 0; border-radius: 4px; object-fit: contain; }
+  ul { list-style: none; margin: 0; padding: 0; }
+  li { margin: 0 0 8px; }
+  .dish { font-weight: 600; }
+  .details { color: #b5bac1; font-size: 0.9rem; }
+  .sold-out .dish { text-decoration: line-through; color: #80848e; }
+`;
+
+// Renders results into one self-contained HTML page: a card per restaurant
+// in its Discord emoji and color, with items grouped by course
+export class MenuBoard {
+  constructor(formattingConfig, { title, refreshMinutes } = {}) {
+    this.formattingConfig = formattingConfig;
+    this.title = title || DEFAULT_BOARD.title;
+    this.refreshMinutes = refreshMinutes ?? DEFAULT_BOARD.refreshMinutes;
+  }
+
+  async write(results, filePath, { day, generatedAt = new Date() }) {
+    const thumbnails = {};
+    for (const result of results) {
+      thumbnails[result.name] = await loadThumbnail(result.menuScreenshotPath);
+    }
+
+    await mkdir(path.dirname(filePath), { recursive: true });
+    await writeFileAtomically(
+      filePath,
+      this.render(results, { day, generatedAt, thumbnails })
+    );
+  }
+
+  render(results, { day, generatedAt = new Date(), thumbnails = {} }) {
+    const menuDay = toMenuDay(day);
+    const cards = results.map((result) =>
+      this.renderCard(result, thumbnails[result.name])
+    );
+
+    return `<!DOCTYPE html>
+<html lang="sk">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+${
+  this.refreshMinutes > 0
+    ? `<meta http-equiv="refresh" content="${this.refreshMinutes * 60}">\n`
+    : ""
+}<title>${escapeXml(this.title)}</title>
+<style>${STYLES}</style>
+</head>
+<body>
+<header>
+<h1>${escapeXml(this.title)} · ${escapeXml(formatMenuDay(menuDay))}</h1>
+<span class="updated">Updated at ${escapeXml(
+      generatedAt.toLocaleTimeString()
+    )}</span>
+</header>
+<main class="board">
+${
+  cards.length > 0
+    ? cards.join("\n")
+    : '<p class="note">No menus have been scraped today yet.</p>'
+}
+</main>
+</body>
+</html>
+`;
+  }
+
+  renderCard(result, thumbnail) {
+    const { name, url, menuData, menuDay, freshness, status, closedReason } =
+      result;
+    const body = [];
+
+    if (!result.success) {
+      body.push(
+        '<span class="badge failed">Unavailable</span>',
+        `<p class="note">The menu could not be loaded${
+          result.error ? `: ${escapeXml(result.error)}` : ""
+        }</p>`
+      );
+    } else if (status === MENU_STATUS.CLOSED) {
+      body.push(
+        '<span class="badge closed">Closed today</span>',
+        `<p class="note">${escapeXml(
+          closedReason || "The restaurant is closed today"
+        )}</p>`
+      );
+    } else if (!menuData || menuData.items.length === 0) {
+      body.push(
+        '<span class="badge no-menu">No menu</span>',
+        '<p class="note">No daily menu available today.</p>'
+      );
+    } else {
+      if (freshness === MENU_FRESHNESS.STALE) {
+        body.push(
+          `<span class="badge stale">Menu from ${escapeXml(
+            formatMenuDay(menuDay)
+          )}</span>`
+        );
+      }
+      if (thumbnail) {
+        body.push(
+          `<img class="thumbnail" src="${thumbnail}" alt="${escapeXml(
+            `${name} daily menu`
+          )}">`
+        );
+      }
+      body.push(...this.renderCourses(menuData.items));
+    }
+
+    return `<section class="card" style="border-top-color: ${this.getRestaurantColor(
+      name
+    )}">
+<h2><a href="${escapeXml(url || "")}">${escapeXml(
+      `${this.getRestaurantEmoji(name)} ${name}`
+    )}</a></h2>
+${body.join("\n")}
+</section>`;
+  }
+
+  renderCourses(items) {
+    const shown =
+      this.formattingConfig.soldOut === "hide"
+        ? items.filter((item) => !isSoldOut(item))
+        : items;
+    const keys = [...COURSES.map((course) => course.key), null];
+
+    return keys.flatMap((key) => {
+      const courseItems = shown
+        .filter((item) => (key ? item.course === key : !getCourse(item.course)))
+        .sort(
+          (a, b) =>
+            (a.menuNumber ?? Number.MAX_SAFE_INTEGER) -
+            (b.menuNumber ?? Number.MAX_SAFE_INTEGER)
+        );
+      if (courseItems.length === 0) return [];
+
+      const course = getCourse(key);
+      return [
+        ...(course ? [`<h3>${course.emoji} ${course.title}</h3>`] : []),
+        `<ul>\n${courseItems
+          .map((item) => this.renderItem(item))
+          .join("\n")}\n</ul>`,
+      ];
+    });
+  }
+
+  renderItem(item) {
+    const label = formatItemLabel(item);
+    const details = [
+      formatPrice(item.price),
+      formatPortion(item.portion),
+      formatAllergens(item.allergens),
+      isSoldOut(item) && "sold out",
+    ].filter(Boolean);
+
+    return `<li${
+      isSoldOut(item) ? ' class="sold-out"' : ""
+    }><span class="dish">${escapeXml(label)}</span>${
+      details.length > 0
+        ? `<br><span class="details">${escapeXml(details.join(" · "))}</span>`
+        : ""
+    }</li>`;
+  }
+
+  getRestaurantEmoji(name) {
+    return getRestaurantEmoji(this.formattingConfig, name);
+  }
+
+  getRestaurantColor(name) {
+    return toCssColor(getRestaurantColor(this.formattingConfig, name));
+  }
+}
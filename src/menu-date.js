@@ -0,0 +1,122 @@
+const WEEKDAYS = {
+  nedeľa: 0,
+  nedela: 0,
+  sunday: 0,
+  pondelok: 1,
+  monday: 1,
+  utorok: 2,
+  tuesday: 2,
+  streda: 3,
+  wednesday: 3,
+  štvrtok: 4,
+  stvrtok: 4,
+  thursday: 4,
+  piatok: 5,
+  friday: 5,
+  sobota: 6,
+  saturday: 6,
+};
+
+const WEEKDAY_NAMES = [
+  "nedeľa",
+  "pondelok",
+  "utorok",
+  "streda",
+  "štvrtok",
+  "piatok",
+  "sobota",
+];
+
+export function parseWeekday(name) {
+  return WEEKDAYS[name?.toLowerCase()] ?? null;
+}
+
+export function getWeekdayName(weekday) {
+  return WEEKDAY_NAMES[weekday] ?? null;
+}
+
+export const MENU_FRESHNESS = {
+  CURRENT: "current",
+  STALE: "stale",
+  UNKNOWN: "unknown",
+};
+
+function pad(value) {
+  return String(value).padStart(2, "0");
+}
+
+export function getZonedDay(date, timeZone) {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat("en-US", {
+      timeZone,
+      year: "numeric",
+      month: "numeric",
+      day: "numeric",
+      weekday: "long",
+    })
+      .formatToParts(date)
+      .map((part) => [part.type, part.value])
+  );
+
+  return {
+    date: `${parts.year}-${pad(parts.month)}-${pad(parts.day)}`,
+    year: Number(parts.year),
+    weekday: WEEKDAYS[parts.weekday.toLowerCase()],
+  };
+}
+
+// Moves a "YYYY-MM-DD" day by whole days, e.g. shiftDay("2026-10-19", -7)
+export function shiftDay(date, days) {
+  const day = new Date(`${date}T00:00:00Z`);
+  day.setUTCDate(day.getUTCDate() + days);
+  return day.toISOString().substring(0, 10);
+}
+
+// A stored "YYYY-MM-DD" day in the shape formatMenuDay takes
+export function toMenuDay(date) {
+  return { date, weekday: new Date(`${date}T00:00:00Z`).getUTCDay() };
+}
+
+// `menuDayPattern` follows the extraction rules: group 1 is the weekday name,
+// groups 2-4 an optional day, month and year
+export function parseMenuDay(heading, menuDayPattern, today) {
+  if (!heading || !menuDayPattern) return null;
+
+  const match = heading.match(new RegExp(menuDayPattern, "i"));
+  if (!match) return null;
+
+  const weekday = WEEKDAYS[match[1]?.toLowerCase()];
+  const date = match[2]
+    ? `${match[4] || today.year}-${pad(match[3])}-${pad(match[2])}`
+    : null;
+
+  if (weekday === undefined && !date) return null;
+
+  return {
+    heading: match[0].trim(),
+    weekday: weekday ?? null,
+    date,
+  };
+}
+
+export function getMenuFreshness(menuDay, today) {
+  if (!menuDay) return MENU_FRESHNESS.UNKNOWN;
+
+  const matchesToday = menuDay.date
+    ? menuDay.date === today.date
+    : menuDay.weekday === today.weekday;
+
+  return matchesToday ? MENU_FRESHNESS.CURRENT : MENU_FRESHNESS.STALE;
+}
+
+export function formatMenuDay(menuDay) {
+  if (!menuDay) return "";
+
+  const weekday =
+    menuDay.weekday !== null ? WEEKDAY_NAMES[menuDay.weekday] : null;
+  const date = menuDay.date
+    ? menuDay.date.split("-").reverse().slice(0, 2).join(".") + "."
+    : null;
+
+  return [weekday, date].filter(Boolean).join(" ");
+}
@@ -0,0 +1,116 @@
+import { normalizeDishName } from "./menu-items.js";
+
+export const UPDATE_MODES = ["diff", "full", "always", "none"];
+
+// SOLD_OUT marks a re-check that posted only the items sold out since
+export const POST_ACTIONS = {
+  FULL: "full",
+  DIFF: "diff",
+  SKIP: "skip",
+  SOLD_OUT: "soldOut",
+};
+
+// `updates` decides what a later run on the same day posts for a site:
+// "diff" (default) posts only what changed, "full" reposts the whole menu
+// when anything changed, "always" reposts it on every run and "none" posts
+// once a day
+export function resolveUpdateMode(site, settings) {
+  const mode = site.updates ?? settings.updates ?? "diff";
+
+  if (!UPDATE_MODES.includes(mode)) {
+    throw new Error(
+      `Invalid updates "${mode}" for ${site.name} (expected ${UPDATE_MODES.join(
+        ", "
+      )})`
+    );
+  }
+
+  return mode;
+}
+
+// Dishes are matched by course and name, so a new price shows up as a price
+// change rather than as one item removed and another added
+function getDishKey(item) {
+  return `${item.course || ""}|${normalizeDishName(item.name)}`;
+}
+
+export function diffMenus(previousItems = [], currentItems = []) {
+  const previousByKey = new Map(
+    previousItems.map((item) => [getDishKey(item), item])
+  );
+  const currentKeys = new Set(currentItems.map(getDishKey));
+
+  const diff = {
+    added: [],
+    removed: previousItems.filter((item) => !currentKeys.has(getDishKey(item))),
+    priceChanged: [],
+    soldOut: [],
+    backInStock: [],
+  };
+
+  for (const item of currentItems) {
+    const previous = previousByKey.get(getDishKey(item));
+
+    if (!previous) {
+      diff.added.push(item);
+      continue;
+    }
+    if ((previous.price?.amount ?? null) !== (item.price?.amount ?? null)) {
+      diff.priceChanged.push({ item, previousPrice: previous.price });
+    }
+    if (previous.available !== false && item.available === false) {
+      diff.soldOut.push(item);
+    } else if (previous.available === false && item.available !== false) {
+      diff.backInStock.push(item);
+    }
+  }
+
+  return diff;
+}
+
+// The menu as Discord last saw it: the items last posted, marked sold out
+// where a later re-check announced it
+function getAnnouncedItems(lastPosted) {
+  const items = lastPosted.menuData?.items || [];
+  const soldOut = new Set(
+    (lastPosted.recheck?.menuData?.items || [])
+      .filter((item) => item.available === false)
+      .map(getDishKey)
+  );
+
+  return items.map((item) =>
+    soldOut.has(getDishKey(item)) ? { ...item, available: false } : item
+  );
+}
+
+export function hasChanges(diff) {
+  return Object.values(diff).some((changes) => changes.length > 0);
+}
+
+// What to post for `current` given the result last posted today, if any.
+// A site is posted in full the first time each day and whenever its status
+// or freshness changes, e.g. when a menu shows up after a "no menu" post.
+// Failed sites always go into the error summary.
+export function planPost(lastPosted, current, mode) {
+  if (!current.success || !lastPosted || mode === "always") {
+    return { action: POST_ACTIONS.FULL };
+  }
+  if (mode === "none") return { action: POST_ACTIONS.SKIP };
+
+  if (
+    lastPosted.status !== current.status ||
+    lastPosted.freshness !== current.freshness
+  ) {
+    return { action: POST_ACTIONS.FULL };
+  }
+  if ((current.menuData?.items?.length || 0) === 0) {
+    return { action: POST_ACTIONS.SKIP };
+  }
+
+  const diff = diffMenus(getAnnouncedItems(lastPosted), current.menuData.items);
+  if (!hasChanges(diff)) return { action: POST_ACTIONS.SKIP };
+
+  return mode === "full"
+    ? { action: POST_ACTIONS.FULL }
+    : { action: POST_ACTIONS.DIFF, diff };
+}
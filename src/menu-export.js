@@ -0,0 +1,348 @@
+import { mkdir, rename, writeFile } from "fs/promises";
+import path from "path";
+import { formatPrice } from "./prices.js";
+import { formatAllergens } from "./allergens.js";
+import { formatPortion } from "./portions.js";
+import { formatItemLabel } from "./courses.js";
+import { formatMenuDay, toMenuDay } from "./menu-date.js";
+import { normalizeDishName } from "./menu-items.js";
+import { MENU_STATUS } from "./closures.js";
+
+// Bumped whenever a field is renamed or removed from the exported files
+export const EXPORT_SCHEMA_VERSION = 1;
+
+export const EXPORT_FORMATS = {
+  json: "menus.json",
+  csv: "menus.csv",
+  markdown: "menus.md",
+  atom: "menus.atom",
+};
+
+const DEFAULT_EXPORT = {
+  path: null,
+  formats: Object.keys(EXPORT_FORMATS),
+  feedDays: 14,
+};
+
+// `export` in settings writes the files to `export.path` after every
+// scheduled run; `run-once --output <dir>` writes them once to another path
+export function resolveExportSettings(settings) {
+  if (!settings) return null;
+
+  const exportSettings = { ...DEFAULT_EXPORT, ...settings };
+
+  for (const key of Object.keys(exportSettings)) {
+    if (!(key in DEFAULT_EXPORT)) {
+      throw new Error(`Unknown export setting: ${key}`);
+    }
+  }
+
+  if (typeof exportSettings.path !== "string" || !exportSettings.path) {
+    throw new Error("export.path must be a directory path");
+  }
+
+  for (const format of exportSettings.formats) {
+    if (!EXPORT_FORMATS[format]) {
+      throw new Error(
+        `Invalid export format "${format}" (expected one of ${Object.keys(
+          EXPORT_FORMATS
+        ).join(", ")})`
+      );
+    }
+  }
+
+  if (
+    !Number.isInteger(exportSettings.feedDays) ||
+    exportSettings.feedDays < 1
+  ) {
+    throw new Error("export.feedDays must be a positive whole number");
+  }
+
+  return exportSettings;
+}
+
+function getRestaurantKey(result) {
+  return result.id || normalizeDishName(result.name).replace(/ /g, "-");
+}
+
+function getStatus(result) {
+  if (!result.success) return "failed";
+  return (
+    result.status ||
+    (result.menuData?.items?.length > 0
+      ? MENU_STATUS.AVAILABLE
+      : MENU_STATUS.NO_MENU)
+  );
+}
+
+function toExportedItem(item) {
+  return {
+    id: item.id,
+    name: item.name,
+    description: item.description ?? null,
+    course: item.course ?? null,
+    menuNumber: item.menuNumber ?? null,
+    price: item.price ?? null,
+    allergens: (item.allergens || []).map((allergen) => allergen.code),
+    portion: item.portion ?? null,
+    available: item.available ?? null,
+  };
+}
+
+export function toExportedRestaurant(result) {
+  const { name: _name, ...info } = result.restaurant || {};
+
+  return {
+    id: getRestaurantKey(result),
+    name: result.name,
+    url: result.url,
+    status: getStatus(result),
+    closedReason: result.closedReason || null,
+    error: result.success ? null : result.error || null,
+    freshness: result.freshness || null,
+    scrapedAt: result.scrapedAt || null,
+    info,
+    items: (result.menuData?.items || []).map(toExportedItem),
+  };
+}
+
+export function toJson(restaurants, { day, generatedAt }) {
+  return `${JSON.stringify(
+    { schemaVersion: EXPORT_SCHEMA_VERSION, day, generatedAt, restaurants },
+    null,
+    2
+  )}\n`;
+}
+
+const CSV_COLUMNS = [
+  "schema_version",
+  "day",
+  "restaurant_id",
+  "restaurant",
+  "status",
+  "course",
+  "menu_number",
+  "name",
+  "description",
+  "price_cents",
+  "currency",
+  "allergens",
+  "portion",
+  "available",
+];
+
+function toCsvField(value) {
+  const text = value == null ? "" : String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// One row per item; a restaurant without items gets one row with its status
+export function toCsv(restaurants, { day }) {
+  const rows = restaurants.flatMap((restaurant) => {
+    const base = [
+      EXPORT_SCHEMA_VERSION,
+      day,
+      restaurant.id,
+      restaurant.name,
+      restaurant.status,
+    ];
+    if (restaurant.items.length === 0) return [base];
+
+    return restaurant.items.map((item) => [
+      ...base,
+      item.course,
+      item.menuNumber,
+      item.name,
+      item.description,
+      item.price?.amount,
+      item.price?.currency,
+      item.allergens.join(","),
+      formatPortion(item.portion),
+      item.available,
+    ]);
+  });
+
+  return `${[CSV_COLUMNS, ...rows]
+    .map((row) => row.map(toCsvField).join(","))
+    .join("\n")}\n`;
+}
+
+function escapeMarkdown(text) {
+  return String(text).replace(/([|*_~`\\])/g, "\\$1");
+}
+
+function describeStatus(restaurant) {
+  switch (restaurant.status) {
+    case MENU_STATUS.CLOSED:
+      return `Closed today${
+        restaurant.closedReason ? `: ${restaurant.closedReason}` : ""
+      }`;
+    case MENU_STATUS.NO_MENU:
+      return "No daily menu available today";
+    case "failed":
+      return `Could not be scraped${
+        restaurant.error ? `: ${restaurant.error}` : ""
+      }`;
+    default:
+      return null;
+  }
+}
+
+function formatItemDetails(item) {
+  return [
+    formatPrice(item.price),
+    formatPortion(item.portion),
+    formatAllergens(item.allergens.map((code) => ({ code }))),
+  ].filter(Boolean);
+}
+
+export function toMarkdown(restaurants, { day }) {
+  const lines = [`# Daily menus ${formatMenuDay(toMenuDay(day))}`];
+
+  for (const restaurant of restaurants) {
+    lines.push(
+      "",
+      `## [${escapeMarkdown(restaurant.name)}](${restaurant.url})`
+    );
+
+    const status = describeStatus(restaurant);
+    if (status) {
+      lines.push("", escapeMarkdown(status));
+      continue;
+    }
+
+    lines.push("", "| Dish | Price | Details |", "|------|-------|---------|");
+    for (const item of restaurant.items) {
+      const label = escapeMarkdown(formatItemLabel(item));
+      const [price = "", ...details] = formatItemDetails(item);
+      lines.push(
+        `| ${item.available === false ? `~~${label}~~ (sold out)` : label} | ${
+          item.price ? escapeMarkdown(price) : ""
+        } | ${escapeMarkdown(
+          (item.price ? details : [price, ...details])
+            .filter(Boolean)
+            .join(" · ")
+        )} |`
+      );
+    }
+  }
+
+  return `${lines.join("\n")}\n`;
+}
+
+// Also used for the HTML of the menu board
+export function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+function toEntryHtml(restaurant) {
+  const status = describeStatus(restaurant);
+  if (status) return `<p>${escapeXml(status)}</p>`;
+
+  return `<ul>${restaurant.items
+    .map((item) => {
+      const text = [formatItemLabel(item), ...formatItemDetails(item)].join(
+        " · "
+      );
+      return item.available === false
+        ? `<li><s>${escapeXml(text)}</s> (sold out)</li>`
+        : `<li>${escapeXml(text)}</li>`;
+    })
+    .join("")}</ul>`;
+}
+
+// One entry per restaurant and day; `entries` are { day, restaurant } pairs.
+// Entry ids only depend on the restaurant and day, so feed readers update an
+// entry in place when a later run changes that day's menu.
+export function toAtom(entries, { generatedAt }) {
+  const sorted = [...entries].sort((a, b) =>
+    (b.restaurant.scrapedAt || b.day).localeCompare(
+      a.restaurant.scrapedAt || a.day
+    )
+  );
+
+  return `<?xml version="1.0" encoding="utf-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom">
+  <id>urn:bistro-scraper:menus</id>
+  <title>Daily menus</title>
+  <updated>${generatedAt}</updated>
+  <author><name>Bistro Scraper</name></author>
+  <generator version="${EXPORT_SCHEMA_VERSION}">bistro-scraper</generator>
+${sorted
+  .map(
+    ({ day, restaurant }) => `  <entry>
+    <id>urn:bistro-scraper:${escapeXml(restaurant.id)}:${day}</id>
+    <title>${escapeXml(
+      `${restaurant.name} - ${formatMenuDay(toMenuDay(day))}`
+    )}</title>
+    <link href="${escapeXml(restaurant.url || "")}"/>
+    <updated>${restaurant.scrapedAt || `${day}T00:00:00Z`}</updated>
+    <content type="html">${escapeXml(toEntryHtml(restaurant))}</content>
+  </entry>
+`
+  )
+  .join("")}</feed>
+`;
+}
+
+// The latest successful result of each restaurant per day from stored runs,
+// for the feed's history
+export function collectFeedEntries(runs) {
+  const entries = new Map();
+
+  for (const run of runs) {
+    for (const result of run.sites) {
+      const key = `${run.day}|${result.name}`;
+      if (result.success || !entries.has(key)) {
+        entries.set(key, {
+          day: run.day,
+          restaurant: toExportedRestaurant(result),
+        });
+      }
+    }
+  }
+
+  return [...entries.values()];
+}
+
+// Files are written next to their final name and renamed into place, so a
+// reader never sees a half-written file
+export async function writeFileAtomically(filePath, content) {
+  const tempPath = `${filePath}.tmp`;
+  await writeFile(tempPath, content, "utf8");
+  await rename(tempPath, filePath);
+}
+
+export async function writeMenuExports(
+  results,
+  outputDir,
+  { day, formats = Object.keys(EXPORT_FORMATS), feedEntries = null }
+) {
+  const generatedAt = new Date().toISOString();
+  const restaurants = results.map(toExportedRestaurant);
+  const render = {
+    json: () => toJson(restaurants, { day, generatedAt }),
+    csv: () => toCsv(restaurants, { day }),
+    markdown: () => toMarkdown(restaurants, { day }),
+    atom: () =>
+      toAtom(
+        feedEntries || restaurants.map((restaurant) => ({ day, restaurant })),
+        { generatedAt }
+      ),
+  };
+
+  await mkdir(outputDir, { recursive: true });
+
+  const written = [];
+  for (const format of formats) {
+    const filePath = path.join(outputDir, EXPORT_FORMATS[format]);
+    await writeFileAtomically(filePath, render[format]());
+    written.push(filePath);
+  }
+
+  return written;
+}
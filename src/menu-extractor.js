@@ -0,0 +1,218 @@
+// Runs inside the page via page.evaluate, so it must stay self-contained:
+// no imports and no references to module scope. `doc` defaults to the page
+// document but can be any DOM Document. With `mark`, the section and the
+// extracted items get a data-daily-menu attribute so they can be found again.
+export function extractDailyMenu(
+  { rules, viewport, visibleOnly = true, mark = false },
+  doc
+) {
+  const root = doc || document;
+  const toRegExp = (pattern) => new RegExp(pattern, "i");
+  const textOf = (element) =>
+    (element?.textContent || "").replace(/\s+/g, " ").trim();
+  const isInViewport = (element) => {
+    if (!visibleOnly) return true;
+    const rect = element.getBoundingClientRect();
+    return rect.top >= 0 && rect.top <= window.innerHeight && rect.height > 10;
+  };
+
+  const sectionPatterns = (rules.sectionPatterns || []).map(toRegExp);
+  const excludePatterns = (rules.excludePatterns || []).map((pattern) =>
+    pattern.toLowerCase()
+  );
+  const sectionKeywords = (rules.sectionKeywords || []).map((keyword) =>
+    keyword.toLowerCase()
+  );
+
+  const isDailyMenuSection = (element) => {
+    if (!element.textContent) return false;
+
+    const text = element.textContent.toLowerCase();
+
+    if (excludePatterns.some((pattern) => text.includes(pattern))) {
+      return false;
+    }
+
+    return (
+      sectionPatterns.some((pattern) => pattern.test(text)) ||
+      (sectionKeywords.length > 0 &&
+        sectionKeywords.every((keyword) => text.includes(keyword)))
+    );
+  };
+
+  let dailyMenuSection = null;
+  for (const selector of rules.sectionSelectors || []) {
+    dailyMenuSection = [...root.querySelectorAll(selector)].find(
+      isDailyMenuSection
+    );
+    if (dailyMenuSection) break;
+  }
+
+  if (!dailyMenuSection) {
+    return { section: null, items: [] };
+  }
+
+  if (mark) {
+    dailyMenuSection.setAttribute("data-daily-menu", "section");
+  }
+
+  const menuItems = [...dailyMenuSection.querySelectorAll(rules.itemSelector)];
+  const visibleItems = menuItems.filter(isInViewport);
+  const pricePattern = toRegExp(rules.pricePattern);
+  const namePrefixPattern = rules.namePrefixPattern
+    ? toRegExp(rules.namePrefixPattern)
+    : null;
+  const descriptionStripPatterns = (rules.descriptionStripPatterns || []).map(
+    toRegExp
+  );
+  const soldOutPatterns = (rules.soldOutPatterns || []).map(toRegExp);
+  const soldOutSelector = (rules.soldOutSelectors || []).join(", ");
+  const isGreyedOut = (element) => {
+    if (!visibleOnly || rules.soldOutMaxOpacity == null) return false;
+    const style = window.getComputedStyle(element);
+    const grayscale = style.filter.match(/grayscale\(([\d.]+)(%?)\)/);
+    return (
+      parseFloat(style.opacity) <= rules.soldOutMaxOpacity ||
+      (grayscale && grayscale[1] / (grayscale[2] ? 100 : 1) >= 0.5)
+    );
+  };
+  // Sold-out items are kept but flagged: a sold-out label in the text, a
+  // marker element such as a disabled add-to-cart button, or a greyed style
+  const isAvailable = (element, text) =>
+    !(
+      soldOutPatterns.some((pattern) => pattern.test(text)) ||
+      (soldOutSelector &&
+        (element.matches(soldOutSelector) ||
+          element.querySelector(soldOutSelector))) ||
+      isGreyedOut(element)
+    );
+  const stripSoldOut = (text) =>
+    soldOutPatterns.reduce(
+      (stripped, pattern) => stripped.replace(pattern, ""),
+      text
+    );
+  // Sizes priced one after another ("0,3l 1,50 € / 0,5l 2,20 €") make up the
+  // price; a price further on, like an add-on in the description, does not.
+  // The sizes are the ones prices.js labels variants with.
+  const sizeLabel =
+    "\\d+(?:[,.]\\d+)?\\s*(?:g|kg|ml|l|cl|cm|ks)|mal[áéý]|stredn[áéý]|veľk[áéý]|polovičn[áéý]|small|medium|large";
+  const leadingSizePattern = new RegExp(`(?:${sizeLabel})[:\\s]*$`, "i");
+  const priceGapPattern = new RegExp(
+    `^[\\s/|,;]*(?:(?:${sizeLabel})[:\\s]*)?$`,
+    "i"
+  );
+  const priceSpanOf = (text, firstMatch) => {
+    const before = text.substring(0, firstMatch.index);
+    const start =
+      before.length - (before.match(leadingSizePattern)?.[0].length || 0);
+    let end = firstMatch.index + firstMatch[0].length;
+
+    for (const match of text.matchAll(new RegExp(pricePattern.source, "gi"))) {
+      if (match.index < end) continue;
+      if (!priceGapPattern.test(text.substring(end, match.index))) break;
+      end = match.index + match[0].length;
+    }
+
+    return text.substring(start, end).trim();
+  };
+  const category =
+    (rules.categoryPattern &&
+      dailyMenuSection.textContent.match(
+        toRegExp(rules.categoryPattern)
+      )?.[0]) ||
+    rules.defaultCategory;
+
+  const items = [];
+
+  visibleItems.forEach((item) => {
+    try {
+      const cleanText = textOf(item);
+
+      if (
+        cleanText.length < rules.minItemLength ||
+        (rules.skipItemPatterns || []).some((pattern) =>
+          cleanText.includes(pattern)
+        ) ||
+        (rules.itemRequiredText && !cleanText.includes(rules.itemRequiredText))
+      ) {
+        return;
+      }
+
+      const priceSource = rules.priceSelector
+        ? textOf(item.querySelector(rules.priceSelector))
+        : cleanText;
+      const priceMatch = priceSource.match(pricePattern);
+      if (!priceMatch) {
+        return;
+      }
+
+      const priceIndex = cleanText.indexOf(priceMatch[0]);
+
+      let name = rules.nameSelector
+        ? textOf(item.querySelector(rules.nameSelector))
+        : priceIndex >= 0
+        ? cleanText.substring(0, priceIndex).trim()
+        : "";
+
+      const rawName = name;
+
+      if (namePrefixPattern) {
+        name = name.replace(namePrefixPattern, "");
+      }
+      name = stripSoldOut(name).trim();
+      name = name.replace(/[,.]?od$/, "");
+      name = name.replace(/[,.]$/, "");
+      name = name.trim();
+
+      let description = rules.descriptionSelector
+        ? textOf(item.querySelector(rules.descriptionSelector))
+        : priceIndex >= 0
+        ? cleanText.substring(priceIndex + priceMatch[0].length)
+        : "";
+      for (const pattern of descriptionStripPatterns) {
+        description = description.replace(pattern, "");
+      }
+      description =
+        stripSoldOut(description).trim() || rules.defaultDescription;
+
+      if (name && name.length > 3 && !name.includes("€")) {
+        items.push({
+          name,
+          rawName,
+          priceText: priceSpanOf(priceSource, priceMatch),
+          rawText: cleanText,
+          category,
+          description,
+          screenshot: true,
+          source: "daily-menu-section",
+          viewport,
+          available: isAvailable(item, cleanText),
+        });
+        if (mark) {
+          item.setAttribute("data-daily-menu", "item");
+        }
+      }
+    } catch (e) {}
+  });
+
+  return {
+    section: {
+      visible: visibleOnly
+        ? (() => {
+            const rect = dailyMenuSection.getBoundingClientRect();
+            return rect.top >= 0 && rect.top <= window.innerHeight;
+          })()
+        : true,
+      heading:
+        (rules.menuDayPattern &&
+          textOf(dailyMenuSection).match(
+            toRegExp(rules.menuDayPattern)
+          )?.[0]) ||
+        null,
+      totalItems: menuItems.length,
+      visibleItems: items.length,
+      sampleText: dailyMenuSection.textContent.substring(0, 200),
+    },
+    items,
+  };
+}
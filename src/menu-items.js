@@ -0,0 +1,109 @@
+import { createHash } from "crypto";
+import { parsePrice } from "./prices.js";
+import { parseAllergens } from "./allergens.js";
+import { parsePortion } from "./portions.js";
+import { classifyCourse, parseMenuNumber } from "./courses.js";
+
+function stripDetails(text, rules) {
+  let stripped = text;
+
+  if (rules.allergenPattern) {
+    stripped = stripped.replace(new RegExp(rules.allergenPattern, "gi"), "");
+  }
+  if (rules.portionPattern) {
+    stripped = stripped.replace(
+      new RegExp(
+        `^\\s*${rules.portionPattern}[\\s,.]*|[\\s,.]*${rules.portionPattern}\\s*$`,
+        "gi"
+      ),
+      ""
+    );
+  }
+
+  return stripped
+    .replace(/\s+/g, " ")
+    .replace(/[\s,.]+$/, "")
+    .trim();
+}
+
+export function normalizeDishName(name) {
+  return (name || "")
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, " ")
+    .trim();
+}
+
+// Identity of an item within one day's menu: the same dish at the same price
+// in the same course, however it was spelled or spaced on the page
+export function getItemIdentity(item) {
+  const key = [
+    item.course || "",
+    normalizeDishName(item.name),
+    item.price?.amount ?? "",
+  ].join("|");
+
+  return createHash("sha1").update(key).digest("hex").substring(0, 12);
+}
+
+// Turns the raw fields collected by extractDailyMenu into the item model
+// used by the formatter and the rest of the app. A price or allergen list the
+// source already provides in structured form is kept instead of parsed.
+export function normalizeMenuItem(item, rules) {
+  const { priceText, rawText, rawName, ...rest } = item;
+  const detailsText = rawText || `${item.name} ${item.description || ""}`;
+
+  const normalized = {
+    ...rest,
+    name: stripDetails(item.name, rules) || item.name,
+    description:
+      stripDetails(item.description || "", rules) || rules.defaultDescription,
+    price: item.price ?? parsePrice(priceText, rules.pricePattern),
+    allergens:
+      item.allergens ?? parseAllergens(detailsText, rules.allergenPattern),
+    portion: parsePortion(detailsText, rules.portionPattern),
+    course: classifyCourse(rawName || item.name, rules),
+    menuNumber: parseMenuNumber(rawName || item.name, rules),
+    available: item.available ?? null,
+  };
+
+  return { id: getItemIdentity(normalized), ...normalized };
+}
+
+function descriptionQuality(item, rules) {
+  if (!item.description || item.description === rules.defaultDescription) {
+    return 0;
+  }
+  return item.description.length;
+}
+
+// Collapses items seen more than once (e.g. in overlapping viewports) into
+// the first occurrence, keeping the most informative description and any
+// details only a later copy had
+export function mergeDuplicateItems(items, rules) {
+  const merged = new Map();
+  let duplicates = 0;
+
+  for (const item of items) {
+    const existing = merged.get(item.id);
+    if (!existing) {
+      merged.set(item.id, { ...item });
+      continue;
+    }
+
+    duplicates++;
+
+    if (descriptionQuality(item, rules) > descriptionQuality(existing, rules)) {
+      existing.description = item.description;
+    }
+    if (existing.allergens.length === 0 && item.allergens.length > 0) {
+      existing.allergens = item.allergens;
+    }
+    existing.portion ||= item.portion;
+    existing.menuNumber ??= item.menuNumber;
+    if (item.available === false) existing.available = false;
+  }
+
+  return { items: [...merged.values()], duplicates };
+}
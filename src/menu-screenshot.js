@@ -0,0 +1,51 @@
+export const MENU_SCREENSHOT_STYLES = ["annotated", "plain"];
+
+const SECTION_SELECTOR = '[data-daily-menu="section"]';
+const ITEM_OUTLINE_CSS = `
+  [data-daily-menu="item"] {
+    outline: 3px solid #ff2d55 !important;
+    outline-offset: -3px !important;
+  }
+`;
+
+// `menuScreenshot` is "annotated", "plain" or false (default)
+export function resolveMenuScreenshot(site, settings) {
+  const style = site.menuScreenshot ?? settings.menuScreenshot ?? false;
+
+  if (style !== false && !MENU_SCREENSHOT_STYLES.includes(style)) {
+    throw new Error(
+      `Invalid menuScreenshot "${style}" for ${
+        site.name
+      } (expected ${MENU_SCREENSHOT_STYLES.join(", ")} or false)`
+    );
+  }
+
+  return style;
+}
+
+// Screenshots the daily menu section marked by extractDailyMenu, with the
+// extracted items outlined when annotated. Returns false when the page has
+// no marked section.
+export async function captureMenuScreenshot(page, screenshotPath, style) {
+  const section = page.locator(SECTION_SELECTOR).first();
+  if ((await section.count()) === 0) return false;
+
+  const outline =
+    style === "annotated"
+      ? await page.addStyleTag({ content: ITEM_OUTLINE_CSS })
+      : null;
+
+  try {
+    await section.screenshot({
+      path: screenshotPath,
+      type: "png",
+      timeout: 10000,
+    });
+  } finally {
+    if (outline) {
+      await outline.evaluate((element) => element.remove());
+    }
+  }
+
+  return true;
+}
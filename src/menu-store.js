@@ -0,0 +1,190 @@
+import { appendFile, mkdir, readdir, readFile } from "fs/promises";
+import path from "path";
+import { randomUUID } from "crypto";
+import { getZonedDay } from "./menu-date.js";
+import { POST_ACTIONS } from "./menu-diff.js";
+
+const RUN_FILE_PATTERN = /^runs-(\d{4}-\d{2})\.jsonl$/;
+
+// Screenshots are deleted once posted, so their paths are not kept
+function toStoredResult({ screenshotPath, menuScreenshotPath, ...result }) {
+  return result;
+}
+
+function matchesSite(result, site) {
+  return !site || result.id === site || result.name === site;
+}
+
+// Every run is appended as one JSON line to a file per month
+// (runs-2026-10.jsonl). Lines are never rewritten, so a crash while writing
+// loses at most the run being written, and a line that does not parse is
+// skipped when reading.
+export class MenuStore {
+  constructor({ storePath = "./data", timezone = "Europe/Bratislava" } = {}) {
+    this.storePath = storePath;
+    this.timezone = timezone;
+  }
+
+  async recordRun(
+    results,
+    {
+      id = randomUUID(),
+      trigger = "schedule",
+      startedAt,
+      finishedAt = new Date(),
+    } = {}
+  ) {
+    const started = startedAt || finishedAt;
+    const day = getZonedDay(started, this.timezone).date;
+    const successful = results.filter((result) => result.success);
+
+    const run = {
+      id,
+      trigger,
+      day,
+      startedAt: started.toISOString(),
+      finishedAt: finishedAt.toISOString(),
+      durationMs: finishedAt - started,
+      summary: {
+        totalSites: results.length,
+        successfulSites: successful.length,
+        failedSites: results.length - successful.length,
+        totalMenuItems: successful.reduce(
+          (sum, result) => sum + (result.menuData?.items?.length || 0),
+          0
+        ),
+      },
+      sites: results.map(toStoredResult),
+    };
+
+    await mkdir(this.storePath, { recursive: true });
+    await appendFile(
+      path.join(this.storePath, `runs-${day.substring(0, 7)}.jsonl`),
+      `${JSON.stringify(run)}\n`
+    );
+
+    return run;
+  }
+
+  // Runs between `from` and `to` (inclusive "YYYY-MM-DD" days in the store's
+  // timezone), oldest first
+  async getRuns({ from = null, to = null, trigger = null, limit = null } = {}) {
+    let files;
+    try {
+      files = await readdir(this.storePath);
+    } catch (error) {
+      if (error.code === "ENOENT") return [];
+      throw error;
+    }
+
+    const months = files
+      .map((file) => file.match(RUN_FILE_PATTERN)?.[1])
+      .filter(
+        (month) =>
+          month &&
+          (!from || month >= from.substring(0, 7)) &&
+          (!to || month <= to.substring(0, 7))
+      )
+      .sort();
+
+    const runs = [];
+    for (const month of months) {
+      const content = await readFile(
+        path.join(this.storePath, `runs-${month}.jsonl`),
+        "utf8"
+      );
+
+      for (const line of content.split("\n")) {
+        if (!line.trim()) continue;
+
+        let run;
+        try {
+          run = JSON.parse(line);
+        } catch (error) {
+          continue;
+        }
+
+        if (
+          (!from || run.day >= from) &&
+          (!to || run.day <= to) &&
+          (!trigger || run.trigger === trigger)
+        ) {
+          runs.push(run);
+        }
+      }
+    }
+
+    runs.sort((a, b) => a.startedAt.localeCompare(b.startedAt));
+    return limit ? runs.slice(-limit) : runs;
+  }
+
+  async getRun(id) {
+    const runs = await this.getRuns();
+    return runs.find((run) => run.id === id) || null;
+  }
+
+  async getLastRun(options = {}) {
+    const [run] = await this.getRuns({ ...options, limit: 1 });
+    return run || null;
+  }
+
+  // One entry per run the site was scraped in, oldest first, with the run's
+  // id and day alongside the stored result
+  async getSiteHistory(site, options = {}) {
+    const runs = await this.getRuns(options);
+
+    return runs.flatMap((run) =>
+      run.sites
+        .filter((result) => matchesSite(result, site))
+        .map((result) => ({ runId: run.id, day: run.day, ...result }))
+    );
+  }
+
+  // Menu items of successful results, optionally for one site (by id or
+  // name), each with the run, day and restaurant it was scraped for
+  async getItems({ site = null, ...options } = {}) {
+    const history = await this.getSiteHistory(site, options);
+
+    return history
+      .filter((result) => result.success)
+      .flatMap((result) =>
+        (result.menuData?.items || []).map((item) => ({
+          ...item,
+          runId: result.runId,
+          day: result.day,
+          site: result.name,
+          scrapedAt: result.scrapedAt,
+        }))
+      );
+  }
+
+  // The most recent successful result of each site on `day`, across all
+  // runs of that day, in the order the sites were first scraped. With
+  // `postedOnly`, only results posted in full or as a diff count, and the
+  // last re-check that posted sold-out items since is kept as `recheck`.
+  async getLatestResults(day, { postedOnly = false } = {}) {
+    const latest = new Map();
+
+    for (const run of await this.getRuns({ from: day, to: day })) {
+      for (const result of run.sites) {
+        if (!result.success) continue;
+
+        if (!postedOnly) {
+          latest.set(result.name, result);
+        } else if (
+          result.posted === POST_ACTIONS.FULL ||
+          result.posted === POST_ACTIONS.DIFF
+        ) {
+          latest.set(result.name, { ...result });
+        } else if (
+          result.posted === POST_ACTIONS.SOLD_OUT &&
+          latest.has(result.name)
+        ) {
+          latest.get(result.name).recheck = result;
+        }
+      }
+    }
+
+    return [...latest.values()];
+  }
+}
@@ -0,0 +1,221 @@
+import { toAllergens } from "./allergens.js";
+
+const DEFAULT_NETWORK_RULES = {
+  urlPattern: null,
+  itemsPath: null,
+  match: {},
+  fields: {
+    name: "name",
+    price: "price",
+    description: "description",
+    allergens: "allergens",
+    available: "available",
+  },
+  headingPath: null,
+  priceUnit: "euro",
+};
+
+const PRICE_UNITS = { euro: 100, cent: 1 };
+
+// Network rules are optional: without them, or when no payload matches, the
+// scraper reads the menu from the rendered page
+export function resolveNetworkRules(siteRules, globalRules) {
+  if (!siteRules && !globalRules) return null;
+
+  const rules = {
+    ...DEFAULT_NETWORK_RULES,
+    ...(globalRules || {}),
+    ...(siteRules || {}),
+    fields: {
+      ...DEFAULT_NETWORK_RULES.fields,
+      ...(globalRules || {}).fields,
+      ...(siteRules || {}).fields,
+    },
+  };
+
+  for (const key of Object.keys(rules)) {
+    if (!(key in DEFAULT_NETWORK_RULES)) {
+      throw new Error(`Unknown network rule: ${key}`);
+    }
+  }
+
+  for (const key of ["urlPattern", "itemsPath"]) {
+    if (!rules[key]) {
+      throw new Error(`Network rules need ${key}`);
+    }
+  }
+
+  if (!PRICE_UNITS[rules.priceUnit]) {
+    throw new Error(
+      `Invalid network priceUnit "${rules.priceUnit}" (expected ${Object.keys(
+        PRICE_UNITS
+      ).join(" or ")})`
+    );
+  }
+
+  for (const [key, pattern] of [
+    ["urlPattern", rules.urlPattern],
+    ...Object.entries(rules.match).map(([path, value]) => [
+      `match.${path}`,
+      value,
+    ]),
+  ]) {
+    try {
+      new RegExp(pattern, "i");
+    } catch (error) {
+      throw new Error(`Invalid network ${key} "${pattern}": ${error.message}`);
+    }
+  }
+
+  return rules;
+}
+
+// Paths are dot-separated keys; a key ending in [] flattens the array it
+// holds, e.g. "data.days[].meals[]"
+export function getPath(value, path) {
+  let values = [value];
+
+  for (const segment of path.split(".")) {
+    const flatten = segment.endsWith("[]");
+    const key = flatten ? segment.slice(0, -2) : segment;
+
+    values = values.flatMap((current) => {
+      const next = key ? current?.[key] : current;
+      if (flatten) return Array.isArray(next) ? next : [];
+      return next === undefined || next === null ? [] : [next];
+    });
+  }
+
+  return values;
+}
+
+function getField(entry, path) {
+  return path ? getPath(entry, path)[0] : undefined;
+}
+
+function toText(value) {
+  if (value === undefined || value === null) return "";
+  if (Array.isArray(value)) return value.map(toText).join(", ");
+  return String(value).replace(/\s+/g, " ").trim();
+}
+
+function mapPrice(value, rules) {
+  const amount = typeof value === "string" ? Number(value) : value;
+  if (typeof amount !== "number" || Number.isNaN(amount)) return {};
+
+  return {
+    price: {
+      amount: Math.round(amount * PRICE_UNITS[rules.priceUnit]),
+      currency: "EUR",
+      isFromPrice: false,
+      variants: [],
+    },
+  };
+}
+
+function mapAllergens(value) {
+  if (Array.isArray(value)) {
+    return {
+      allergens: toAllergens(
+        value.map((entry) =>
+          typeof entry === "object" ? entry?.code ?? entry?.id : entry
+        )
+      ),
+    };
+  }
+  if (typeof value === "string" && /^[\d\s,.a-z]+$/i.test(value)) {
+    return { allergens: toAllergens(value.match(/\d+/g) || []) };
+  }
+  return {};
+}
+
+// Maps every matching entry of the captured payloads to the raw item shape
+// produced by extractDailyMenu. Numeric prices and allergen lists are already
+// structured, so they are passed on as-is instead of being parsed from text.
+export function mapNetworkItems(payloads, rules, extractionRules) {
+  const namePrefixPattern = extractionRules.namePrefixPattern
+    ? new RegExp(extractionRules.namePrefixPattern, "i")
+    : null;
+  const matchers = Object.entries(rules.match).map(([path, pattern]) => [
+    path,
+    new RegExp(pattern, "i"),
+  ]);
+  const items = [];
+  let heading = null;
+
+  for (const { url, body } of payloads) {
+    heading ||=
+      (rules.headingPath && toText(getPath(body, rules.headingPath)[0])) ||
+      null;
+
+    for (const entry of getPath(body, rules.itemsPath).flat()) {
+      if (
+        !matchers.every(([path, pattern]) =>
+          pattern.test(toText(getField(entry, path)))
+        )
+      ) {
+        continue;
+      }
+
+      const { fields } = rules;
+      const rawName = toText(getField(entry, fields.name));
+      const name = namePrefixPattern
+        ? rawName.replace(namePrefixPattern, "").trim()
+        : rawName;
+      if (!name) continue;
+
+      const price = getField(entry, fields.price);
+      const description = toText(getField(entry, fields.description));
+      const available = getField(entry, fields.available);
+
+      items.push({
+        name,
+        rawName,
+        priceText: typeof price === "string" ? price : null,
+        rawText: [rawName, description].filter(Boolean).join(" "),
+        category: extractionRules.defaultCategory,
+        description,
+        ...mapPrice(price, rules),
+        ...mapAllergens(getField(entry, fields.allergens)),
+        available: typeof available === "boolean" ? available : null,
+        screenshot: false,
+        source: "network",
+        sourceUrl: url,
+        viewport: null,
+      });
+    }
+  }
+
+  return { heading, items };
+}
+
+// Collects JSON responses whose URL matches `urlPattern` while the page loads
+// and its page actions run. Attach it before navigating so early requests
+// are seen.
+export class NetworkCapture {
+  constructor(page, rules) {
+    this.page = page;
+    this.urlPattern = new RegExp(rules.urlPattern, "i");
+    this.pending = [];
+    this.onResponse = (response) => {
+      if (!this.urlPattern.test(response.url())) return;
+      this.pending.push(this.readPayload(response));
+    };
+    page.on("response", this.onResponse);
+  }
+
+  async readPayload(response) {
+    try {
+      const contentType = response.headers()["content-type"] || "";
+      if (!contentType.includes("json")) return null;
+      return { url: response.url(), body: await response.json() };
+    } catch (error) {
+      return null;
+    }
+  }
+
+  async collect() {
+    this.page.off("response", this.onResponse);
+    return (await Promise.all(this.pending)).filter(Boolean);
+  }
+}
@@ -0,0 +1,259 @@
+const DEFAULT_STEP_TIMEOUT = 5000;
+
+// Each action lists the fields it requires; everything else is optional
+export const PAGE_ACTIONS = {
+  click: { required: [], oneOf: ["selector", "text"] },
+  waitForSelector: { required: ["selector"] },
+  wait: { required: ["ms"] },
+  scroll: { required: [] },
+  dismissDialog: { required: [] },
+  fill: { required: ["selector", "value"] },
+};
+
+const COOKIE_BUTTONS = [
+  'button:has-text("Súhlasím")',
+  'button:has-text("Prijať všetky")',
+  'button:has-text("Prijať")',
+  'button:has-text("Accept all")',
+  'button:has-text("Accept")',
+  'button:has-text("Akceptovať")',
+  'button:has-text("OK")',
+  '[id*="cookie"] button:first-of-type',
+  '[class*="cookie"] button:first-of-type',
+  '[data-testid*="cookie"] button',
+  '[class*="consent"] button:first-of-type',
+  'button[class*="accept"]',
+  'button[id*="accept"]',
+];
+
+// Generic cookie banner handling for sites without their own page actions
+export const DEFAULT_PAGE_ACTIONS = [
+  { action: "wait", ms: 3000 },
+  {
+    action: "click",
+    selector: COOKIE_BUTTONS.join(", "),
+    timeout: 2000,
+    optional: true,
+  },
+];
+
+export function validatePageActions(steps, siteName) {
+  if (!Array.isArray(steps)) {
+    throw new Error(`pageActions for ${siteName} must be an array`);
+  }
+
+  steps.forEach((step, index) => {
+    const definition = PAGE_ACTIONS[step?.action];
+    const label = `pageActions[${index}] for ${siteName}`;
+
+    if (!definition) {
+      throw new Error(
+        `${label} has unknown action "${
+          step?.action
+        }" (expected one of ${Object.keys(PAGE_ACTIONS).join(", ")})`
+      );
+    }
+
+    for (const field of definition.required) {
+      if (step[field] === undefined) {
+        throw new Error(`${label} (${step.action}) is missing "${field}"`);
+      }
+    }
+
+    if (
+      definition.oneOf &&
+      !definition.oneOf.some((field) => step[field] !== undefined)
+    ) {
+      throw new Error(
+        `${label} (${step.action}) needs ${definition.oneOf.join(" or ")}`
+      );
+    }
+  });
+
+  return steps;
+}
+
+export function describePageAction(step) {
+  switch (step.action) {
+    case "click":
+      return `click ${[step.selector, step.text && `"${step.text}"`]
+        .filter(Boolean)
+        .join(" with text ")}`;
+    case "waitForSelector":
+      return `wait for ${step.selector}`;
+    case "wait":
+      return `wait ${step.ms}ms`;
+    case "scroll":
+      return `scroll to ${step.selector || step.to || "bottom"}`;
+    case "dismissDialog":
+      return "dismiss dialog";
+    case "fill":
+      return `fill ${step.selector}`;
+    default:
+      return step.action;
+  }
+}
+
+function clickTarget(page, step) {
+  if (step.text) {
+    return page
+      .locator(step.selector || 'button, [role="button"], a', {
+        hasText: step.text,
+      })
+      .first();
+  }
+  return page.locator(step.selector).first();
+}
+
+async function runStep(page, step) {
+  const timeout = step.timeout ?? DEFAULT_STEP_TIMEOUT;
+
+  switch (step.action) {
+    case "click":
+      await clickTarget(page, step).click({ timeout });
+      break;
+
+    case "waitForSelector":
+      await page.waitForSelector(step.selector, {
+        timeout,
+        state: step.state || "visible",
+      });
+      break;
+
+    case "wait":
+      await page.waitForTimeout(step.ms);
+      break;
+
+    case "scroll":
+      if (step.selector) {
+        await page
+          .locator(step.selector)
+          .first()
+          .scrollIntoViewIfNeeded({ timeout });
+      } else {
+        await page.evaluate(
+          (to) =>
+            window.scrollTo(
+              0,
+              to === "top"
+                ? 0
+                : to === "bottom" || to === undefined
+                ? document.body.scrollHeight
+                : Number(to)
+            ),
+          step.to
+        );
+      }
+      break;
+
+    case "dismissDialog": {
+      const dialog = page
+        .locator(step.selector || '[role="dialog"], .modal, [class*="popup"]')
+        .first();
+      if (!(await dialog.isVisible())) break;
+
+      const closeButton = dialog
+        .locator(
+          'button[aria-label*="close" i], button[class*="close"], [data-dismiss]'
+        )
+        .first();
+      if (await closeButton.isVisible()) {
+        await closeButton.click({ timeout });
+      } else {
+        await page.keyboard.press("Escape");
+      }
+      await dialog.waitFor({ state: "hidden", timeout });
+      break;
+    }
+
+    case "fill":
+      await page.locator(step.selector).first().fill(String(step.value), {
+        timeout,
+      });
+      break;
+  }
+}
+
+// Steps run in order. A failing optional step is logged and skipped; any
+// other failure stops the run with an error naming the step.
+export async function runPageActions(page, steps, logger, siteName) {
+  for (const [index, step] of steps.entries()) {
+    const description = describePageAction(step);
+    const label = `${siteName} step ${index + 1}/${steps.length}`;
+
+    try {
+      logger.info(`${label}: ${description}`);
+      await runStep(page, step);
+    } catch (error) {
+      if (step.optional) {
+        logger.info(`${label} skipped (${description}): ${error.message}`);
+        continue;
+      }
+      throw new Error(
+        `Page action ${index + 1} (${description}) failed: ${error.message}`
+      );
+    }
+  }
+}
+
+const SCRIPT_STATEMENTS = [
+  {
+    pattern:
+      /^page\.click\((['"])(.+)\1\s*(?:,\s*\{\s*timeout:\s*(\d+)\s*\})?\)$/,
+    toStep: ([, , selector, timeout]) => {
+      const hasText = selector.match(/^([\w-]+):has-text\("(.+)"\)$/);
+      return {
+        action: "click",
+        ...(hasText
+          ? { selector: hasText[1], text: hasText[2] }
+          : { selector }),
+        ...(timeout && { timeout: Number(timeout) }),
+      };
+    },
+  },
+  {
+    pattern: /^page\.waitForTimeout\((\d+)\)$/,
+    toStep: ([, ms]) => ({ action: "wait", ms: Number(ms) }),
+  },
+  {
+    pattern:
+      /^page\.waitForSelector\((['"])(.+)\1\s*(?:,\s*\{\s*timeout:\s*(\d+)\s*\})?\)$/,
+    toStep: ([, , selector, timeout]) => ({
+      action: "waitForSelector",
+      selector,
+      ...(timeout && { timeout: Number(timeout) }),
+    }),
+  },
+  {
+    pattern: /^page\.fill\((['"])(.+)\1\s*,\s*(['"])(.*)\3\)$/,
+    toStep: ([, , selector, , value]) => ({ action: "fill", selector, value }),
+  },
+];
+
+// Converts the legacy cookieScript strings (a few awaited page calls,
+// optionally wrapped in try/catch) into page actions. Statements inside a
+// try block become optional steps, since the script ignored their failures.
+export function migrateCookieScript(script, siteName) {
+  if (!script || !script.trim()) return [];
+
+  const tryBlock = script.match(
+    /^\s*try\s*\{([\s\S]*)\}\s*catch\s*\([^)]*\)\s*\{[\s\S]*\}\s*$/
+  );
+  const body = tryBlock ? tryBlock[1] : script;
+
+  return body
+    .split(";")
+    .map((statement) => statement.trim().replace(/^await\s+/, ""))
+    .filter(Boolean)
+    .map((statement) => {
+      for (const { pattern, toStep } of SCRIPT_STATEMENTS) {
+        const match = statement.match(pattern);
+        if (match) {
+          return { ...toStep(match), ...(tryBlock && { optional: true }) };
+        }
+      }
+      throw new Error(
+        `Cannot migrate cookieScript for ${siteName}: unsupported statement "${statement}"`
+      );
+    });
+}
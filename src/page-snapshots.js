@@ -0,0 +1,105 @@
+import fs from "fs";
+import path from "path";
+
+export const SNAPSHOT_MODES = ["record", "replay"];
+
+export class PageSnapshotStore {
+  constructor(snapshotPath = "./snapshots") {
+    this.snapshotPath = snapshotPath;
+  }
+
+  getSiteKey(site) {
+    return (
+      site.id ||
+      site.name
+        .normalize("NFD")
+        .replace(/[\u0300-\u036f]/g, "")
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, "-")
+        .replace(/^-|-$/g, "")
+    );
+  }
+
+  getPaths(site) {
+    const dir = path.join(this.snapshotPath, this.getSiteKey(site));
+    return {
+      dir,
+      har: path.join(dir, "page.har"),
+      html: path.join(dir, "page.html"),
+      meta: path.join(dir, "meta.json"),
+    };
+  }
+
+  async prepareRecording(context, site) {
+    const paths = this.getPaths(site);
+    fs.mkdirSync(paths.dir, { recursive: true });
+
+    // The HAR is written when the context closes
+    await context.routeFromHAR(paths.har, {
+      update: true,
+      updateContent: "embed",
+      updateMode: "full",
+    });
+  }
+
+  async saveRecording(page, site) {
+    const paths = this.getPaths(site);
+    fs.writeFileSync(paths.html, await page.content());
+    fs.writeFileSync(
+      paths.meta,
+      JSON.stringify(
+        {
+          id: this.getSiteKey(site),
+          name: site.name,
+          url: site.url,
+          recordedAt: new Date().toISOString(),
+        },
+        null,
+        2
+      ) + "\n"
+    );
+  }
+
+  readMeta(site) {
+    const paths = this.getPaths(site);
+    if (!fs.existsSync(paths.meta)) return null;
+    return JSON.parse(fs.readFileSync(paths.meta, "utf8"));
+  }
+
+  async prepareReplay(context, site) {
+    const paths = this.getPaths(site);
+
+    if (fs.existsSync(paths.har)) {
+      await context.routeFromHAR(paths.har, { notFound: "abort" });
+      return "har";
+    }
+
+    if (fs.existsSync(paths.html)) {
+      const html = fs.readFileSync(paths.html, "utf8");
+      // The rendered HTML already contains the menu, so everything except
+      // the document itself is aborted to keep scripts from re-rendering it
+      await context.route("**/*", (route) =>
+        route.request().resourceType() === "document"
+          ? route.fulfill({
+              status: 200,
+              contentType: "text/html; charset=utf-8",
+              body: html,
+            })
+          : route.abort()
+      );
+      return "html";
+    }
+
+    throw new Error(`No snapshot recorded for ${site.name} in ${paths.dir}`);
+  }
+
+  listSnapshots() {
+    if (!fs.existsSync(this.snapshotPath)) return [];
+
+    return fs
+      .readdirSync(this.snapshotPath, { withFileTypes: true })
+      .filter((entry) => entry.isDirectory())
+      .map((entry) => entry.name)
+      .sort();
+  }
+}
@@ -0,0 +1,35 @@
+const UNITS = {
+  g: { unit: "g", factor: 1 },
+  kg: { unit: "g", factor: 1000 },
+  ml: { unit: "ml", factor: 1 },
+  cl: { unit: "ml", factor: 10 },
+  dl: { unit: "ml", factor: 100 },
+  l: { unit: "ml", factor: 1000 },
+  ks: { unit: "pcs", factor: 1 },
+};
+
+// `portionPattern` follows the extraction rules: group 1 holds the quantity
+// and group 2 the unit
+export function parsePortion(text, portionPattern) {
+  if (!text || !portionPattern) return null;
+
+  const match = text.match(new RegExp(portionPattern, "i"));
+  const base = match?.[2] && UNITS[match[2].toLowerCase()];
+  if (!base) return null;
+
+  return {
+    amount: Math.round(parseFloat(match[1].replace(",", ".")) * base.factor),
+    unit: base.unit,
+    text: match[0].trim(),
+  };
+}
+
+export function formatPortion(portion) {
+  if (!portion) return "";
+
+  if (portion.unit === "pcs") return `${portion.amount} ks`;
+  if (portion.unit === "ml" && portion.amount >= 100) {
+    return `${(portion.amount / 1000).toLocaleString("sk-SK")} l`;
+  }
+  return `${portion.amount} ${portion.unit}`;
+}
@@ -0,0 +1,229 @@
+import { normalizeDishName } from "./menu-items.js";
+import { shiftDay } from "./menu-date.js";
+import { formatPrice } from "./prices.js";
+
+function average(amounts) {
+  return amounts.length > 0
+    ? Math.round(
+        amounts.reduce((sum, amount) => sum + amount, 0) / amounts.length
+      )
+    : null;
+}
+
+// The daily-menu average is taken over mains, since a cheap soup says little
+// about what lunch costs; restaurants listing no mains use every priced item
+function averageOfMains(observations) {
+  const mains = observations.filter((entry) => entry.course === "main");
+  return average(
+    (mains.length > 0 ? mains : observations).map((entry) => entry.amount)
+  );
+}
+
+// One price per restaurant, dish and day from stored items, which come oldest
+// first, so a later run of the same day replaces the earlier price
+export function collectPriceObservations(items) {
+  const observations = new Map();
+
+  for (const item of items) {
+    if (item.price?.amount == null) continue;
+
+    const dish = normalizeDishName(item.name);
+    observations.set(`${item.site}|${item.day}|${dish}`, {
+      site: item.site,
+      day: item.day,
+      dish,
+      name: item.name,
+      course: item.course,
+      amount: item.price.amount,
+      currency: item.price.currency,
+    });
+  }
+
+  return [...observations.values()].sort((a, b) => a.day.localeCompare(b.day));
+}
+
+function groupBy(entries, getKey) {
+  const groups = new Map();
+  for (const entry of entries) {
+    const key = getKey(entry);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(entry);
+  }
+  return groups;
+}
+
+// Prices of every dish whose normalized name contains `name`, oldest first
+export async function getDishPriceHistory(
+  store,
+  name,
+  { site, from, to } = {}
+) {
+  const dish = normalizeDishName(name);
+  const observations = collectPriceObservations(
+    await store.getItems({ site, from, to })
+  );
+
+  return [
+    ...groupBy(
+      observations.filter((entry) => entry.dish.includes(dish)),
+      (entry) => `${entry.site}|${entry.dish}`
+    ).values(),
+  ].map((entries) => ({
+    site: entries[0].site,
+    name: entries[entries.length - 1].name,
+    prices: entries.map(({ day, amount, currency }) => ({
+      day,
+      amount,
+      currency,
+    })),
+  }));
+}
+
+// Prices over the `days` up to and including `to`. A dish served in that
+// period is compared with the last time it was served before it (looking
+// back `lookbackDays`), or with its first price in the period.
+export async function buildPriceReport(
+  store,
+  { to, days = 7, lookbackDays = 90, cheapestCount = 5 }
+) {
+  const from = shiftDay(to, -(days - 1));
+  const previousFrom = shiftDay(from, -days);
+  const observations = collectPriceObservations(
+    await store.getItems({ from: shiftDay(from, -lookbackDays), to })
+  );
+  const inPeriod = observations.filter((entry) => entry.day >= from);
+
+  const changes = [];
+  for (const entries of groupBy(
+    observations,
+    (entry) => `${entry.site}|${entry.dish}`
+  ).values()) {
+    const served = entries.filter((entry) => entry.day >= from);
+    if (served.length === 0) continue;
+
+    const baseline =
+      entries.filter((entry) => entry.day < from).pop() || served[0];
+    const latest = served[served.length - 1];
+    if (baseline.amount === latest.amount) continue;
+
+    changes.push({
+      site: latest.site,
+      name: latest.name,
+      course: latest.course,
+      previous: { amount: baseline.amount, currency: baseline.currency },
+      current: { amount: latest.amount, currency: latest.currency },
+      since: baseline.day,
+      change: latest.amount - baseline.amount,
+    });
+  }
+
+  const restaurants = [
+    ...groupBy(inPeriod, (entry) => entry.site).entries(),
+  ].map(([site, entries]) => {
+    const previousPeriod = observations.filter(
+      (entry) =>
+        entry.site === site && entry.day >= previousFrom && entry.day < from
+    );
+
+    return {
+      site,
+      average: averageOfMains(entries),
+      previousAverage:
+        previousPeriod.length > 0 ? averageOfMains(previousPeriod) : null,
+      daily: [...groupBy(entries, (entry) => entry.day).entries()].map(
+        ([day, dayEntries]) => ({
+          day,
+          average: averageOfMains(dayEntries),
+          count: dayEntries.length,
+        })
+      ),
+    };
+  });
+
+  const latestInPeriod = [
+    ...new Map(
+      inPeriod.map((entry) => [`${entry.site}|${entry.dish}`, entry])
+    ).values(),
+  ];
+  const mains = latestInPeriod.filter((entry) => entry.course === "main");
+
+  return {
+    from,
+    to,
+    days,
+    restaurants,
+    increases: changes
+      .filter((change) => change.change > 0)
+      .sort((a, b) => b.change - a.change),
+    decreases: changes
+      .filter((change) => change.change < 0)
+      .sort((a, b) => a.change - b.change),
+    cheapest: (mains.length > 0 ? mains : latestInPeriod)
+      .sort((a, b) => a.amount - b.amount)
+      .slice(0, cheapestCount)
+      .map(({ site, name, day, amount, currency }) => ({
+        site,
+        name,
+        day,
+        price: { amount, currency },
+      })),
+  };
+}
+
+export function formatPriceChange(change) {
+  return `${change.site}: ${change.name} ${formatPrice(
+    change.previous
+  )} → ${formatPrice(change.current)}`;
+}
+
+export function formatAverage(restaurant) {
+  const current = formatPrice({ amount: restaurant.average, currency: "EUR" });
+  if (restaurant.previousAverage === null) return current;
+
+  const change = restaurant.average - restaurant.previousAverage;
+  return change === 0
+    ? `${current} (unchanged)`
+    : `${current} (${change > 0 ? "+" : "-"}${formatPrice({
+        amount: Math.abs(change),
+        currency: "EUR",
+      })})`;
+}
+
+// Plain text for the `report prices` command
+export function formatPriceReportText(report) {
+  const lines = [`Prices from ${report.from} to ${report.to}`, ""];
+
+  lines.push("Average main course:");
+  for (const restaurant of report.restaurants) {
+    lines.push(`  ${restaurant.site}: ${formatAverage(restaurant)}`);
+  }
+  if (report.restaurants.length === 0) lines.push("  No stored menus");
+
+  for (const [title, changes] of [
+    ["Price increases:", report.increases],
+    ["Price decreases:", report.decreases],
+  ]) {
+    lines.push("", title);
+    lines.push(
+      ...(changes.length > 0
+        ? changes.map(
+            (change) => `  ${formatPriceChange(change)} (since ${change.since})`
+          )
+        : ["  None"])
+    );
+  }
+
+  lines.push("", "Cheapest options:");
+  lines.push(
+    ...(report.cheapest.length > 0
+      ? report.cheapest.map(
+          (entry) =>
+            `  ${formatPrice(entry.price)} ${entry.name} (${entry.site}, ${
+              entry.day
+            })`
+        )
+      : ["  None"])
+  );
+
+  return lines.join("\n");
+}
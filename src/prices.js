@@ -0,0 +1,90 @@
+const CURRENCIES = [
+  { code: "EUR", symbol: "€", pattern: /€|eur/i },
+  { code: "CZK", symbol: "Kč", pattern: /kč|czk/i },
+];
+
+const VARIANT_LABEL_PATTERN =
+  /(\d+(?:[,.]\d+)?\s*(?:g|kg|ml|l|cl|cm|ks)|mal[áéý]|stredn[áéý]|veľk[áéý]|polovičn[áéý]|small|medium|large)[:\s]*$/i;
+
+function detectCurrency(text) {
+  return (
+    CURRENCIES.find((currency) => currency.pattern.test(text)) || CURRENCIES[0]
+  ).code;
+}
+
+function toCents(amountText) {
+  return Math.round(
+    parseFloat(amountText.replace(/\s/g, "").replace(",", ".")) * 100
+  );
+}
+
+// `pricePattern` follows the extraction rules: group 1 marks a "from" price
+// and group 2 holds the amount
+export function parsePrice(text, pricePattern) {
+  if (!text) return null;
+
+  const pattern = new RegExp(pricePattern, "gi");
+  const variants = [];
+  let previousEnd = 0;
+
+  for (const match of text.matchAll(pattern)) {
+    const amountText = match[2] || match[0].match(/\d+(?:[,.]\d+)?/)?.[0];
+    if (!amountText) continue;
+
+    const label =
+      text
+        .substring(previousEnd, match.index)
+        .match(VARIANT_LABEL_PATTERN)?.[1] || null;
+
+    variants.push({
+      label: label ? label.replace(/\s+/g, "") : null,
+      amount: toCents(amountText),
+      currency: detectCurrency(match[0]),
+      isFromPrice: Boolean(match[1]),
+    });
+    previousEnd = match.index + match[0].length;
+  }
+
+  if (variants.length === 0) return null;
+
+  // A lone price never needs a size label to be told apart
+  if (variants.length === 1) {
+    variants[0].label = null;
+  }
+
+  const [first] = variants;
+  return {
+    amount: first.amount,
+    currency: first.currency,
+    isFromPrice: first.isFromPrice,
+    variants,
+  };
+}
+
+function formatAmount(amount, currency) {
+  const symbol =
+    CURRENCIES.find((entry) => entry.code === currency)?.symbol || currency;
+  const value = (amount / 100).toLocaleString("sk-SK", {
+    minimumFractionDigits: 2,
+    maximumFractionDigits: 2,
+  });
+  return `${value} ${symbol}`;
+}
+
+export function formatPrice(price) {
+  if (!price) return "";
+
+  const variants = price.variants?.length ? price.variants : [price];
+
+  return variants
+    .map((variant) =>
+      [
+        variant.label,
+        variant.isFromPrice ? "od" : null,
+        formatAmount(variant.amount, variant.currency),
+      ]
+        .filter(Boolean)
+        .join(" ")
+    )
+    .join(" / ");
+}
@@ -0,0 +1,120 @@
+export const RESOURCE_TYPES = [
+  "stylesheet",
+  "image",
+  "media",
+  "font",
+  "script",
+  "texttrack",
+  "xhr",
+  "fetch",
+  "eventsource",
+  "websocket",
+  "manifest",
+  "other",
+];
+
+const DEFAULT_REQUEST_BLOCKING = {
+  resourceTypes: ["image", "media", "font"],
+  domains: [
+    "google-analytics.com",
+    "googletagmanager.com",
+    "doubleclick.net",
+    "googlesyndication.com",
+    "googleadservices.com",
+    "facebook.net",
+    "hotjar.com",
+    "clarity.ms",
+  ],
+};
+
+// Site settings replace the global ones key by key, like extraction rules.
+// `false` turns blocking off.
+export function resolveRequestBlocking(siteRules, globalRules) {
+  if (
+    siteRules === false ||
+    (siteRules === undefined && globalRules === false)
+  ) {
+    return null;
+  }
+
+  const rules = {
+    ...DEFAULT_REQUEST_BLOCKING,
+    ...(globalRules || {}),
+    ...(siteRules || {}),
+  };
+
+  for (const key of Object.keys(rules)) {
+    if (!(key in DEFAULT_REQUEST_BLOCKING)) {
+      throw new Error(`Unknown request blocking setting: ${key}`);
+    }
+  }
+
+  for (const type of rules.resourceTypes) {
+    if (!RESOURCE_TYPES.includes(type)) {
+      throw new Error(
+        `Cannot block resource type "${type}" (expected one of ${RESOURCE_TYPES.join(
+          ", "
+        )})`
+      );
+    }
+  }
+
+  return rules;
+}
+
+function matchesDomain(hostname, domain) {
+  return hostname === domain || hostname.endsWith(`.${domain}`);
+}
+
+// Aborts matching requests of one browser context and counts what it saw.
+// Requests it lets through fall back to earlier routes, so snapshot
+// recording and replay keep working.
+export class RequestBlocker {
+  constructor(rules, { allowImages = false } = {}) {
+    this.resourceTypes = new Set(
+      rules.resourceTypes.filter((type) => !(allowImages && type === "image"))
+    );
+    this.domains = rules.domains;
+    this.stats = { total: 0, blocked: 0, byType: {}, byDomain: {} };
+  }
+
+  async attach(context) {
+    await context.route("**/*", (route) => this.handle(route));
+  }
+
+  getBlockReason(request) {
+    if (this.resourceTypes.has(request.resourceType())) {
+      return { type: request.resourceType() };
+    }
+
+    let hostname;
+    try {
+      hostname = new URL(request.url()).hostname;
+    } catch (error) {
+      return null;
+    }
+
+    const domain = this.domains.find((entry) => matchesDomain(hostname, entry));
+    return domain ? { domain } : null;
+  }
+
+  async handle(route) {
+    this.stats.total++;
+    const reason = this.getBlockReason(route.request());
+
+    if (!reason) {
+      await route.fallback();
+      return;
+    }
+
+    this.stats.blocked++;
+    if (reason.type) {
+      this.stats.byType[reason.type] =
+        (this.stats.byType[reason.type] || 0) + 1;
+    } else {
+      this.stats.byDomain[reason.domain] =
+        (this.stats.byDomain[reason.domain] || 0) + 1;
+    }
+    await route.abort("blockedbyclient");
+  }
+}
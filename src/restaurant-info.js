@@ -0,0 +1,122 @@
+export const RESTAURANT_INFO_DISPLAYS = ["footer", "field"];
+
+const DEFAULT_RESTAURANT_INFO = {
+  display: "footer",
+  openingHoursPattern:
+    "(?:otváracie hodiny|otvorené|opening hours)[^\\d]{0,30}(\\d{1,2}[:.]\\d{2})\\s*[-–]\\s*(\\d{1,2}[:.]\\d{2})",
+  deliveryTimePattern:
+    "(?:doručenie|doba doručenia|čas doručenia|delivery)[^\\d\\n]{0,20}(\\d+)\\s*(?:[-–]\\s*(\\d+)\\s*)?min",
+  deliveryFeePattern:
+    "(?:doprava|doručenie|poplatok za doručenie|delivery fee)[^\\d\\n€]{0,20}(\\d+(?:,\\d+)?)\\s*€",
+  freeDeliveryPattern: "(?:doprava|doručenie) zadarmo|free delivery",
+  minimumOrderPattern:
+    "(?:minimálna objednávka|min\\. objednávka|minimum order)[^\\d\\n]{0,20}(\\d+(?:,\\d+)?)\\s*€",
+  ratingPattern:
+    "(?:hodnotenie|rating|⭐|★)\\s*:?\\s*(\\d(?:[,.]\\d)?)(?:\\s*/\\s*5)?(?:\\s*\\((\\d+)[^)]*\\))?",
+};
+
+const PATTERN_KEYS = Object.keys(DEFAULT_RESTAURANT_INFO).filter((key) =>
+  key.endsWith("Pattern")
+);
+
+// Site settings replace the global ones key by key. `false` turns the
+// restaurant block off, a pattern set to null skips that field and
+// `display: false` keeps the block out of Discord posts.
+export function resolveRestaurantInfo(siteRules, globalRules) {
+  if (
+    siteRules === false ||
+    (siteRules === undefined && globalRules === false)
+  ) {
+    return null;
+  }
+
+  const rules = {
+    ...DEFAULT_RESTAURANT_INFO,
+    ...(globalRules || {}),
+    ...(siteRules || {}),
+  };
+
+  for (const key of Object.keys(rules)) {
+    if (!(key in DEFAULT_RESTAURANT_INFO)) {
+      throw new Error(`Unknown restaurantInfo setting: ${key}`);
+    }
+  }
+
+  if (
+    rules.display !== false &&
+    !RESTAURANT_INFO_DISPLAYS.includes(rules.display)
+  ) {
+    throw new Error(
+      `Invalid restaurantInfo display "${
+        rules.display
+      }" (expected ${RESTAURANT_INFO_DISPLAYS.join(", ")} or false)`
+    );
+  }
+
+  for (const key of PATTERN_KEYS) {
+    if (!rules[key]) continue;
+    try {
+      new RegExp(rules[key], "i");
+    } catch (error) {
+      throw new Error(
+        `Invalid restaurantInfo ${key} "${rules[key]}": ${error.message}`
+      );
+    }
+  }
+
+  return rules;
+}
+
+// Runs inside the page via page.evaluate, so it must stay self-contained
+export function collectPageText(doc) {
+  const root = doc || document;
+  return root.body?.innerText || root.body?.textContent || "";
+}
+
+function toCents(amountText) {
+  return Math.round(parseFloat(amountText.replace(",", ".")) * 100);
+}
+
+function toTime(text) {
+  const [hours, minutes] = text.split(/[:.]/);
+  return `${hours.padStart(2, "0")}:${minutes}`;
+}
+
+// Reads opening hours, delivery time and fee, minimum order and rating from
+// the page text. Fields the page does not show are null.
+export function parseRestaurantInfo(text, rules) {
+  const match = (key) =>
+    rules[key] ? text.match(new RegExp(rules[key], "i")) : null;
+
+  const openingHours = match("openingHoursPattern");
+  const deliveryTime = match("deliveryTimePattern");
+  const deliveryFee = match("deliveryFeePattern");
+  const minimumOrder = match("minimumOrderPattern");
+  const rating = match("ratingPattern");
+
+  return {
+    openingHours: openingHours
+      ? { opens: toTime(openingHours[1]), closes: toTime(openingHours[2]) }
+      : null,
+    deliveryTime: deliveryTime
+      ? {
+          min: parseInt(deliveryTime[1]),
+          max: parseInt(deliveryTime[2] || deliveryTime[1]),
+        }
+      : null,
+    deliveryFee: deliveryFee
+      ? { amount: toCents(deliveryFee[1]), currency: "EUR" }
+      : match("freeDeliveryPattern")
+      ? { amount: 0, currency: "EUR" }
+      : null,
+    minimumOrder: minimumOrder
+      ? { amount: toCents(minimumOrder[1]), currency: "EUR" }
+      : null,
+    rating: rating
+      ? {
+          value: parseFloat(rating[1].replace(",", ".")),
+          count: rating[2] ? parseInt(rating[2]) : null,
+        }
+      : null,
+  };
+}
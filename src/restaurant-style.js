@@ -0,0 +1,13 @@
+// Emoji and embed color of a restaurant, shared by the Discord posts and the
+// menu board
+export function getRestaurantEmoji(formattingConfig, name) {
+  const emojis = formattingConfig.emojis || { default: "🏪" };
+  return emojis[name] || emojis.default;
+}
+
+// Colors are configured as "0x3498db" strings or numbers
+export function getRestaurantColor(formattingConfig, name) {
+  const colors = formattingConfig.colors || { default: 0x3498db };
+  const colorValue = colors[name] || colors.default;
+  return typeof colorValue === "string" ? parseInt(colorValue, 16) : colorValue;
+}
@@ -0,0 +1,59 @@
+const DEFAULT_RETRY_POLICY = {
+  attempts: 1,
+  delay: 2000,
+  backoffFactor: 2,
+  maxDelay: 30000,
+};
+
+// Site settings win over global settings; `retryAttempts` counts every
+// attempt including the first, so 1 disables retrying
+export function resolveRetryPolicy(site = {}, settings = {}) {
+  const pick = (key, fallback) => {
+    const value = site[key] ?? settings[key] ?? fallback;
+    const number = typeof value === "string" ? Number(value) : value;
+
+    if (typeof number !== "number" || !Number.isFinite(number) || number < 0) {
+      throw new Error(
+        `Invalid ${key} "${value}"${
+          site.name ? ` for ${site.name}` : ""
+        } (expected a non-negative number)`
+      );
+    }
+
+    return number;
+  };
+
+  return {
+    attempts: Math.max(
+      1,
+      Math.floor(pick("retryAttempts", DEFAULT_RETRY_POLICY.attempts))
+    ),
+    delay: pick("retryDelay", DEFAULT_RETRY_POLICY.delay),
+    backoffFactor: pick(
+      "retryBackoffFactor",
+      DEFAULT_RETRY_POLICY.backoffFactor
+    ),
+    maxDelay: pick("retryMaxDelay", DEFAULT_RETRY_POLICY.maxDelay),
+  };
+}
+
+export function getRetryDelay(policy, attempt) {
+  return Math.min(
+    policy.delay * Math.pow(policy.backoffFactor, attempt - 1),
+    policy.maxDelay
+  );
+}
+
+// Short label for the error summary, e.g. "timeout", "403" or "ERR_NAME_NOT_RESOLVED"
+export function describeFailure(error, httpStatus = null) {
+  if (httpStatus >= 400) return String(httpStatus);
+  if (error?.name === "TimeoutError" || /timeout/i.test(error?.message)) {
+    return "timeout";
+  }
+
+  const networkError = error?.message?.match(/net::(ERR_[A-Z_]+)/);
+  if (networkError) return networkError[1];
+  if (/^E[A-Z]+$/.test(error?.code)) return error.code;
+
+  return error?.message?.split("\n")[0] || "unknown error";
+}
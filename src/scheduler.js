@@ -4,6 +4,23 @@ import { Logger } from "./logger.js";
 import { ScreenshotScraper } from "./screenshot-scraper.js";
 import { MenuFormatter } from "./formatter.js";
 import { DiscordNotifier } from "./discord.js";
+import { findNewlySoldOut } from "./availability.js";
+import { MenuStore } from "./menu-store.js";
+import { planPost, POST_ACTIONS } from "./menu-diff.js";
+import { getZonedDay, shiftDay } from "./menu-date.js";
+import { buildPriceReport } from "./price-history.js";
+import { buildWeeklyDigest } from "./weekly-digest.js";
+import {
+  collectFeedEntries,
+  resolveExportSettings,
+  writeMenuExports,
+} from "./menu-export.js";
+import { MenuBoard } from "./menu-board.js";
+import { ApiServer } from "./api-server.js";
+
+function markPosted(results, action) {
+  return results.map(({ diff, ...result }) => ({ ...result, posted: action }));
+}
 
 export class MenuScraperScheduler {
   constructor() {
@@ -14,6 +31,12 @@ export class MenuScraperScheduler {
     this.discordNotifier = new DiscordNotifier(this.config.discordWebhookUrl);
     this.isRunning = false;
     this.scheduledTask = null;
+    this.extraTasks = [];
+    this.apiServer = null;
+    this.store = new MenuStore({
+      storePath: this.config.getGlobalSettings().storePath,
+      timezone: this.config.timezone,
+    });
   }
 
   async initialize() {
@@ -26,6 +49,8 @@ export class MenuScraperScheduler {
       this.scraper = new ScreenshotScraper({
         screenshotPath: "./screenshots",
         timeout: 60000,
+        snapshotMode: this.config.snapshotMode,
+        snapshotPath: this.config.snapshotPath,
       });
       await this.scraper.initialize();
 
@@ -59,29 +84,86 @@ export class MenuScraperScheduler {
       },
       {
         scheduled: false,
-        timezone: "Europe/Bratislava",
+        timezone: this.config.timezone,
       }
     );
 
     this.scheduledTask.start();
     this.isRunning = true;
 
+    if (this.config.recheckSchedule) {
+      this.startExtraTask(
+        "Availability re-check",
+        this.config.recheckSchedule,
+        () => this.runRecheckJob()
+      );
+    }
+    if (this.config.priceReportSchedule) {
+      this.startExtraTask("Price report", this.config.priceReportSchedule, () =>
+        this.runPriceReportJob()
+      );
+    }
+    if (this.config.digestSchedule) {
+      this.startExtraTask("Weekly digest", this.config.digestSchedule, () =>
+        this.runDigestJob()
+      );
+    }
+
     this.logger.info("Scheduler started successfully");
 
     const nextRun = this.getNextScheduledRun(cronExpression);
     this.logger.info(`Next scheduled run: ${nextRun}`);
   }
 
+  startExtraTask(label, cronExpression, job) {
+    if (!cron.validate(cronExpression)) {
+      throw new Error(`Invalid ${label} cron expression: ${cronExpression}`);
+    }
+
+    const task = cron.schedule(
+      cronExpression,
+      async () => {
+        await job();
+      },
+      {
+        scheduled: false,
+        timezone: this.config.timezone,
+      }
+    );
+    task.start();
+    this.extraTasks.push(task);
+
+    this.logger.info(
+      `${label} scheduled with cron expression: ${cronExpression}`
+    );
+  }
+
+  // The API only runs alongside the scheduler, when API_PORT is set
+  async startApiServer() {
+    if (!this.config.apiPort || this.apiServer) return;
+
+    this.apiServer = new ApiServer(this, {
+      port: this.config.apiPort,
+      host: this.config.apiHost,
+      token: this.config.apiToken,
+    });
+    await this.apiServer.start();
+  }
+
   stop() {
     if (this.scheduledTask) {
       this.scheduledTask.stop();
       this.scheduledTask = null;
     }
+    for (const task of this.extraTasks) {
+      task.stop();
+    }
+    this.extraTasks = [];
     this.isRunning = false;
     this.logger.info("Scheduler stopped");
   }
 
-  async runScrapingJob() {
+  async runScrapingJob(trigger = "schedule", { outputDir, runId } = {}) {
     if (this.isJobRunning) {
       this.logger.warn(
         "Scraping job is already running, skipping this execution"
@@ -91,22 +173,44 @@ export class MenuScraperScheduler {
 
     this.isJobRunning = true;
     this.logger.info("Starting scheduled scraping job");
+    const startedAt = new Date();
 
     try {
-      const results = await this.scraper.scrapeAllSites();
+      const scrapedResults = await this.scraper.scrapeAllSites();
 
-      if (results.length === 0) {
+      if (scrapedResults.length === 0) {
         this.logger.warn("No sites were scraped (none enabled?)");
+        // Stored anyway, so a run started through the API can be looked up
+        await this.recordRun([], trigger, startedAt, runId);
         return;
       }
 
-      const sessionSummary = this.logger.logScrapingSession(results);
+      const results = await this.planPosts(scrapedResults, startedAt);
+      this.logger.logScrapingSession(results);
+      await this.writeExports(results, startedAt, outputDir);
+      await this.writeBoard(results, startedAt);
 
       const messages = this.formatter.formatForDiscord(results);
-      const screenshotPath =
-        this.config.sitesConfig.globalSettings.screenshotPath ||
-        "./screenshots";
-      await this.discordNotifier.sendMenuUpdates(messages, screenshotPath);
+      const screenshotPath = this.getScreenshotPath();
+      let sent = true;
+      if (messages.length > 0) {
+        sent = await this.discordNotifier.sendMenuUpdates(
+          messages,
+          screenshotPath
+        );
+      } else {
+        this.logger.info("No menu changed since the last post, nothing sent");
+        await this.discordNotifier.cleanupScreenshots(screenshotPath);
+      }
+
+      // Stored once posting is done, so a menu that failed to post is not
+      // taken as posted and the next run posts it again
+      await this.recordRun(
+        sent ? results : markPosted(results, POST_ACTIONS.SKIP),
+        trigger,
+        startedAt,
+        runId
+      );
 
       this.logger.info(
         `Scraping job completed successfully: ${this.formatter.formatLogSummary(
@@ -126,9 +230,253 @@ export class MenuScraperScheduler {
     }
   }
 
-  async runOnce() {
+  // Compares each site with what was last posted today, so extra cron slots
+  // only post what changed. Sets `posted` to full, diff or skip, with the
+  // `diff` to post.
+  async planPosts(results, startedAt) {
+    let lastPosted = [];
+    try {
+      lastPosted = await this.store.getLatestResults(
+        getZonedDay(startedAt, this.config.timezone).date,
+        { postedOnly: true }
+      );
+    } catch (error) {
+      this.logger.warn(
+        `Failed to read the last posted menus, posting in full: ${error.message}`
+      );
+    }
+
+    const sites = this.config.getEnabledSites();
+
+    return results.map((result) => {
+      const site = sites.find((site) => site.name === result.name);
+      const { action, diff } = planPost(
+        lastPosted.find((posted) => posted.name === result.name),
+        result,
+        site?.updates || "diff"
+      );
+
+      return { ...result, posted: action, ...(diff && { diff }) };
+    });
+  }
+
+  // A failing store must not keep the menus from being posted
+  async recordRun(results, trigger, startedAt, id) {
+    try {
+      const run = await this.store.recordRun(results, {
+        id,
+        trigger,
+        startedAt,
+      });
+      this.logger.info(`Stored ${trigger} run ${run.id}`);
+    } catch (error) {
+      this.logger.warn(`Failed to store the scraping run: ${error.message}`);
+    }
+  }
+
+  // Writes the files configured under `export`, or to `outputDir` when given.
+  // The feed is rebuilt from the stored runs, so it keeps earlier days; the
+  // current run is not stored yet and is added to them.
+  async writeExports(results, startedAt, outputDir) {
+    const settings =
+      this.config.getGlobalSettings().export ||
+      (outputDir && resolveExportSettings({ path: outputDir }));
+    if (!settings) return;
+
+    const day = getZonedDay(startedAt, this.config.timezone).date;
+    const directory = outputDir || settings.path;
+
+    try {
+      const runs = await this.store.getRuns({
+        from: shiftDay(day, -(settings.feedDays - 1)),
+        to: day,
+      });
+      const written = await writeMenuExports(results, directory, {
+        day,
+        formats: settings.formats,
+        feedEntries: collectFeedEntries([...runs, { day, sites: results }]),
+      });
+      this.logger.info(`Exported ${written.length} files to ${directory}`);
+    } catch (error) {
+      this.logger.warn(
+        `Failed to export the menus to ${directory}: ${error.message}`
+      );
+    }
+  }
+
+  // Renders the latest results of the day: this run's successful results over
+  // the stored ones, so a failed site keeps its earlier menu. Menu screenshots
+  // come from `results` and must be read before posting deletes them. Returns
+  // the file written.
+  async writeBoard(results, startedAt, filePath) {
+    const settings = this.config.getGlobalSettings().board;
+    const target = filePath || settings?.path;
+    if (!target) return null;
+
+    const day = getZonedDay(startedAt, this.config.timezone).date;
+
+    try {
+      const latest = await this.store.getLatestResults(day);
+      const boardResults = [
+        ...latest.map(
+          (stored) =>
+            results.find(
+              (current) => current.success && current.name === stored.name
+            ) || stored
+        ),
+        ...results.filter(
+          (result) => !latest.some((stored) => stored.name === result.name)
+        ),
+      ].map((result) => ({
+        ...result,
+        menuScreenshotPath:
+          results.find((current) => current.name === result.name)
+            ?.menuScreenshotPath || null,
+      }));
+
+      const board = new MenuBoard(
+        this.config.getFormattingConfig(),
+        settings || {}
+      );
+      await board.write(boardResults, target, { day });
+      this.logger.info(`Wrote the menu board to ${target}`);
+      return target;
+    } catch (error) {
+      this.logger.warn(
+        `Failed to write the menu board to ${target}: ${error.message}`
+      );
+      return null;
+    }
+  }
+
+  getScreenshotPath() {
+    return (
+      this.config.sitesConfig.globalSettings.screenshotPath || "./screenshots"
+    );
+  }
+
+  // Scrapes the restaurants that had a menu earlier today again and posts
+  // only the items that have sold out since. Without a stored run from today
+  // every enabled site is checked and all sold-out items are posted.
+  async runRecheckJob() {
+    if (this.isJobRunning) {
+      this.logger.warn(
+        "Scraping job is already running, skipping the availability re-check"
+      );
+      return;
+    }
+
+    this.isJobRunning = true;
+    this.logger.info("Starting availability re-check");
+    const startedAt = new Date();
+
+    try {
+      const previousResults = await this.store.getLatestResults(
+        getZonedDay(startedAt, this.config.timezone).date
+      );
+      const sitesWithMenu = new Set(
+        previousResults
+          .filter((result) => result.menuData?.items?.length > 0)
+          .map((result) => result.name)
+      );
+      const sites = this.config
+        .getEnabledSites()
+        .filter(
+          (site) => previousResults.length === 0 || sitesWithMenu.has(site.name)
+        );
+
+      if (sites.length === 0) {
+        this.logger.info("No restaurant had a menu to re-check");
+        return;
+      }
+
+      const results = await this.scraper.scrapeAllSites(sites);
+      const changes = findNewlySoldOut(previousResults, results);
+      const screenshotPath = this.getScreenshotPath();
+
+      let sent = true;
+      if (changes.length === 0) {
+        this.logger.info("Re-check found no newly sold-out items");
+        await this.discordNotifier.cleanupScreenshots(screenshotPath);
+      } else {
+        const soldOutCount = changes.reduce(
+          (sum, change) => sum + change.items.length,
+          0
+        );
+        this.logger.info(
+          `Re-check found ${soldOutCount} newly sold-out items at ${changes.length} restaurants`
+        );
+        sent = await this.discordNotifier.sendMenuUpdates(
+          [this.formatter.formatSoldOutUpdate(changes)],
+          screenshotPath
+        );
+      }
+
+      // Only sold-out items are posted, so later runs compare with the menu
+      // last posted in full or as a diff and take only its availability from
+      // the re-check
+      await this.recordRun(
+        markPosted(results, sent ? POST_ACTIONS.SOLD_OUT : POST_ACTIONS.SKIP),
+        "recheck",
+        startedAt
+      );
+    } catch (error) {
+      this.logger.error("Availability re-check failed:", error);
+    } finally {
+      this.isJobRunning = false;
+    }
+  }
+
+  async buildPriceReport(days = 7) {
+    return await buildPriceReport(this.store, {
+      to: getZonedDay(new Date(), this.config.timezone).date,
+      days,
+    });
+  }
+
+  async runPriceReportJob() {
+    this.logger.info("Posting the weekly price report");
+
+    try {
+      const report = await this.buildPriceReport();
+      await this.discordNotifier.sendMenuUpdates([
+        this.formatter.formatPriceReport(report),
+      ]);
+    } catch (error) {
+      this.logger.error("Price report failed:", error);
+    }
+  }
+
+  async runDigestJob(days = 7) {
+    this.logger.info("Posting the weekly digest");
+
+    try {
+      const digest = await buildWeeklyDigest(this.store, {
+        to: getZonedDay(new Date(), this.config.timezone).date,
+        days,
+      });
+      await this.discordNotifier.sendMenuUpdates(
+        this.formatter.formatWeeklyDigest(digest)
+      );
+    } catch (error) {
+      this.logger.error("Weekly digest failed:", error);
+    }
+  }
+
+  async runOnce(options = {}) {
     this.logger.info("Running one-time scraping job");
-    await this.runScrapingJob();
+    await this.runScrapingJob("manual", options);
+  }
+
+  async recordSnapshots(snapshotPath = this.config.snapshotPath) {
+    this.logger.info(`Recording page snapshots to ${snapshotPath}`);
+    this.scraper.useSnapshots("record", snapshotPath);
+
+    const results = await this.scraper.scrapeAllSites();
+    this.logger.logScrapingSession(results);
+    this.logger.info(this.formatter.formatLogSummary(results));
+
+    return results;
   }
 
   async testWebhook() {
@@ -154,6 +502,12 @@ export class MenuScraperScheduler {
       isRunning: this.isRunning,
       isJobRunning: this.isJobRunning || false,
       schedule: this.config.scrapeSchedule,
+      recheckSchedule: this.config.recheckSchedule,
+      priceReportSchedule: this.config.priceReportSchedule,
+      digestSchedule: this.config.digestSchedule,
+      api: this.config.apiPort
+        ? `http://${this.config.apiHost}:${this.config.apiPort}`
+        : null,
       enabledSites: this.config.getEnabledSites().map((site) => site.name),
       nextRun: this.isRunning
         ? this.getNextScheduledRun(this.config.scrapeSchedule)
@@ -161,11 +515,29 @@ export class MenuScraperScheduler {
     };
   }
 
+  async getLastRun() {
+    const run = await this.store.getLastRun();
+    return run
+      ? {
+          id: run.id,
+          trigger: run.trigger,
+          finishedAt: run.finishedAt,
+          durationMs: run.durationMs,
+          ...run.summary,
+        }
+      : null;
+  }
+
   async shutdown() {
     this.logger.info("Shutting down scheduler...");
 
     this.stop();
 
+    if (this.apiServer) {
+      await this.apiServer.stop();
+      this.apiServer = null;
+    }
+
     if (this.scraper) {
       await this.scraper.close();
     }
@@ -0,0 +1,243 @@
+import axios from "axios";
+import { execFile } from "child_process";
+import { readFile } from "fs/promises";
+import { promisify } from "util";
+
+const execFileAsync = promisify(execFile);
+
+const VISION_PROMPT = `
+Analyze this restaurant menu screenshot and extract the items of today's daily menu.
+Reply with JSON only: {"heading": "...", "items": [...]}, where heading is the
+daily menu title as printed (e.g. "Denné menu pondelok") and each item has:
+- name: the dish name as printed, including any "Menu 1:" prefix
+- price: the price as printed, e.g. "7,90 €"
+- description: any description text, allergens and portion size
+Leave out permanent menu items, drinks lists and anything not priced.
+`.trim();
+
+function compileRules(rules) {
+  const toRegExp = (pattern) => new RegExp(pattern, "i");
+  return {
+    price: toRegExp(rules.pricePattern),
+    namePrefix: rules.namePrefixPattern
+      ? toRegExp(rules.namePrefixPattern)
+      : null,
+    sections: (rules.sectionPatterns || []).map(toRegExp),
+    excludes: (rules.excludePatterns || []).map((pattern) =>
+      pattern.toLowerCase()
+    ),
+    menuDay: rules.menuDayPattern ? toRegExp(rules.menuDayPattern) : null,
+  };
+}
+
+function toRawItem(name, priceText, description, rules, namePrefix) {
+  const rawName = name.trim();
+  return {
+    name: namePrefix ? rawName.replace(namePrefix, "").trim() : rawName,
+    rawName,
+    priceText,
+    rawText: [rawName, priceText, description].filter(Boolean).join(" "),
+    category: rules.defaultCategory,
+    description: description || rules.defaultDescription,
+    screenshot: true,
+    viewport: null,
+  };
+}
+
+// Reads items out of recognized page text with the site's extraction rules.
+// Only lines after the daily menu heading are used, up to the next excluded
+// section; text without a heading has no daily menu, so the permanent menu
+// is not posted as today's. Sites without section patterns use every line up
+// to an excluded section. A price on a line of its own belongs to the line
+// before it.
+export function parseMenuText(text, rules) {
+  const compiled = compileRules(rules);
+  let lines = text
+    .split("\n")
+    .map((line) => line.replace(/\s+/g, " ").trim())
+    .filter(Boolean);
+
+  const headingIndex = lines.findIndex((line) =>
+    compiled.sections.some((pattern) => pattern.test(line))
+  );
+  const heading =
+    headingIndex >= 0
+      ? lines[headingIndex].match(compiled.menuDay)?.[0] || lines[headingIndex]
+      : null;
+
+  if (compiled.sections.length > 0) {
+    if (headingIndex < 0) return { heading: null, items: [] };
+    lines = lines.slice(headingIndex + 1);
+  }
+
+  const endIndex = lines.findIndex((line) =>
+    compiled.excludes.some((pattern) => line.toLowerCase().includes(pattern))
+  );
+  if (endIndex >= 0) lines = lines.slice(0, endIndex);
+
+  const items = [];
+  let pendingName = null;
+
+  for (const line of lines) {
+    const priceMatch = line.match(compiled.price);
+    if (!priceMatch) {
+      pendingName = line;
+      continue;
+    }
+
+    const before = line.substring(0, priceMatch.index).trim();
+    const after = line
+      .substring(priceMatch.index + priceMatch[0].length)
+      .trim();
+    const name = before.length > 3 ? before : pendingName;
+    pendingName = null;
+
+    if (name) {
+      items.push(
+        toRawItem(name, priceMatch[0], after, rules, compiled.namePrefix)
+      );
+    }
+  }
+
+  return { heading, items };
+}
+
+// Offline OCR through the tesseract command line tool
+export class OcrAnalyzer {
+  constructor({
+    command = "tesseract",
+    language = "slk+eng",
+    timeout = 60000,
+  }) {
+    this.name = "ocr";
+    this.command = command;
+    this.language = language;
+    this.timeout = timeout;
+  }
+
+  async analyze(screenshotPath, rules) {
+    const { stdout } = await execFileAsync(
+      this.command,
+      [screenshotPath, "stdout", "-l", this.language, "--psm", "4"],
+      { timeout: this.timeout, maxBuffer: 10 * 1024 * 1024 }
+    );
+
+    return parseMenuText(stdout, rules);
+  }
+}
+
+function parseVisionReply(content) {
+  const json = content.match(/[[{][\s\S]*[\]}]/)?.[0];
+  if (!json) throw new Error("Vision model reply contains no JSON");
+
+  const reply = JSON.parse(json);
+  return Array.isArray(reply) ? { heading: null, items: reply } : reply;
+}
+
+// Any vision model behind an OpenAI-compatible chat completions endpoint,
+// e.g. a hosted API or a local Ollama or vLLM server
+export class VisionAnalyzer {
+  constructor({ endpoint, model, apiKey = null, timeout = 60000 }) {
+    this.name = "vision";
+    this.endpoint = endpoint;
+    this.model = model;
+    this.apiKey = apiKey;
+    this.timeout = timeout;
+  }
+
+  async analyze(screenshotPath, rules) {
+    const image = (await readFile(screenshotPath)).toString("base64");
+
+    const response = await axios.post(
+      this.endpoint,
+      {
+        model: this.model,
+        temperature: 0,
+        messages: [
+          {
+            role: "user",
+            content: [
+              { type: "text", text: VISION_PROMPT },
+              {
+                type: "image_url",
+                image_url: { url: `data:image/png;base64,${image}` },
+              },
+            ],
+          },
+        ],
+      },
+      {
+        headers: {
+          "Content-Type": "application/json",
+          ...(this.apiKey && { Authorization: `Bearer ${this.apiKey}` }),
+        },
+        timeout: this.timeout,
+      }
+    );
+
+    const content = response.data?.choices?.[0]?.message?.content;
+    if (typeof content !== "string") {
+      throw new Error("Vision endpoint returned no message content");
+    }
+
+    const reply = parseVisionReply(content);
+    const namePrefix = rules.namePrefixPattern
+      ? new RegExp(rules.namePrefixPattern, "i")
+      : null;
+
+    return {
+      heading: reply.heading || null,
+      items: (reply.items || [])
+        .filter((item) => item?.name)
+        .map((item) =>
+          toRawItem(
+            String(item.name),
+            typeof item.price === "number"
+              ? `${item.price.toFixed(2).replace(".", ",")} €`
+              : item.price || null,
+            item.description || "",
+            rules,
+            namePrefix
+          )
+        ),
+    };
+  }
+}
+
+export const SCREENSHOT_ANALYZERS = {
+  ocr: OcrAnalyzer,
+  vision: VisionAnalyzer,
+};
+
+export function resolveScreenshotAnalysis(settings) {
+  if (!settings) return null;
+
+  const Analyzer = SCREENSHOT_ANALYZERS[settings.backend];
+  if (!Analyzer) {
+    throw new Error(
+      `Invalid screenshotAnalysis backend "${
+        settings.backend
+      }" (expected ${Object.keys(SCREENSHOT_ANALYZERS).join(" or ")})`
+    );
+  }
+
+  if (settings.backend === "vision") {
+    for (const key of ["endpoint", "model"]) {
+      if (!settings[key]) {
+        throw new Error(`screenshotAnalysis for vision needs ${key}`);
+      }
+    }
+  }
+
+  return settings;
+}
+
+export function createScreenshotAnalyzer(settings, options = {}) {
+  if (!settings) return null;
+
+  const { backend, ...analyzerSettings } = settings;
+  return new SCREENSHOT_ANALYZERS[backend]({
+    ...analyzerSettings,
+    ...options,
+  });
+}
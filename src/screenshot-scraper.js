@@ -5,6 +5,34 @@ import fs from "fs";
 import path from "path";
 import { Logger } from "./logger.js";
 import { Config } from "./config.js";
+import { extractDailyMenu } from "./menu-extractor.js";
+import { resolveExtractionRules } from "./extraction-rules.js";
+import { ContextPool } from "./context-pool.js";
+import { HttpScraper } from "./http-scraper.js";
+import { mapNetworkItems, NetworkCapture } from "./network-extractor.js";
+import { runPageActions } from "./page-actions.js";
+import { RequestBlocker } from "./request-blocking.js";
+import { captureMenuScreenshot } from "./menu-screenshot.js";
+import { createScreenshotAnalyzer } from "./screenshot-analyzers.js";
+import { collectPageText, parseRestaurantInfo } from "./restaurant-info.js";
+import {
+  collectClosureSignals,
+  detectClosure,
+  MENU_STATUS,
+} from "./closures.js";
+import { PageSnapshotStore, SNAPSHOT_MODES } from "./page-snapshots.js";
+import { mergeDuplicateItems, normalizeMenuItem } from "./menu-items.js";
+import {
+  describeFailure,
+  getRetryDelay,
+  resolveRetryPolicy,
+} from "./retry-policy.js";
+import {
+  getMenuFreshness,
+  getZonedDay,
+  MENU_FRESHNESS,
+  parseMenuDay,
+} from "./menu-date.js";
 
 export class ScreenshotScraper {
   constructor(config = {}) {
@@ -12,8 +40,21 @@ export class ScreenshotScraper {
     this.config = config;
     this.siteConfig = new Config();
     this.browser = null;
-    this.page = null;
+    this.browserLaunch = null;
+    this.contextPool = new ContextPool(
+      () => this.createContext(),
+      config.concurrency || this.siteConfig.getGlobalSettings().concurrency || 1
+    );
     this.screenshotDir = config.screenshotPath || "./screenshots";
+    this.httpScraper = new HttpScraper({
+      timeout: config.timeout || 30000,
+      userAgent: this.siteConfig.getGlobalSettings().userAgent,
+    });
+    this.screenshotAnalyzer = createScreenshotAnalyzer(
+      this.siteConfig.getGlobalSettings().screenshotAnalysis,
+      { apiKey: this.siteConfig.visionApiKey }
+    );
+    this.useSnapshots(config.snapshotMode, config.snapshotPath);
   }
 
   async initialize() {
@@ -24,7 +65,30 @@ export class ScreenshotScraper {
         fs.mkdirSync(this.screenshotDir, { recursive: true });
       }
 
-      this.browser = await chromium.launch({
+      // When every site is fetched over HTTP the browser is only launched
+      // if one of them has to fall back to it
+      if (this.needsBrowser()) {
+        await this.launchBrowser();
+      }
+
+      this.logger.info("Screenshot scraper initialized successfully");
+      return true;
+    } catch (error) {
+      this.logger.error("Failed to initialize screenshot scraper:", error);
+      return false;
+    }
+  }
+
+  needsBrowser() {
+    return (
+      Boolean(this.snapshotMode) ||
+      this.siteConfig.getEnabledSites().some((site) => site.mode !== "http")
+    );
+  }
+
+  async launchBrowser() {
+    this.browserLaunch ||= chromium
+      .launch({
         headless: true,
         args: [
           "--no-sandbox",
@@ -33,59 +97,178 @@ export class ScreenshotScraper {
           "--disable-web-security",
           "--disable-features=VizDisplayCompositor",
         ],
+      })
+      .then((browser) => {
+        this.browser = browser;
+        this.logger.info("Browser launched");
+        return browser;
+      })
+      .catch((error) => {
+        this.browserLaunch = null;
+        throw error;
       });
 
-      // Create new context with user agent and larger viewport for better stealth and visibility
-      const context = await this.browser.newContext({
-        userAgent:
-          "Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36",
-        viewport: { width: 1280, height: 1024 }, // Increased height for better menu visibility
-      });
+    return await this.browserLaunch;
+  }
 
-      this.page = await context.newPage();
+  async createContext() {
+    const browser = await this.launchBrowser();
 
-      // Add stealth measures
-      await this.page.addInitScript(() => {
-        Object.defineProperty(navigator, "webdriver", {
-          get: () => undefined,
-        });
+    // Create new context with user agent and larger viewport for better stealth and visibility
+    const context = await browser.newContext({
+      userAgent:
+        "Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36",
+      viewport: { width: 1280, height: 1024 }, // Increased height for better menu visibility
+    });
 
-        // Remove automation indicators
-        delete window.chrome.runtime.onConnect;
-        delete window.chrome.runtime.onMessage;
+    // Add stealth measures
+    await context.addInitScript(() => {
+      Object.defineProperty(navigator, "webdriver", {
+        get: () => undefined,
       });
 
-      this.logger.info("Screenshot scraper initialized successfully");
-      return true;
-    } catch (error) {
-      this.logger.error("Failed to initialize screenshot scraper:", error);
-      return false;
+      // Remove automation indicators
+      delete window.chrome.runtime.onConnect;
+      delete window.chrome.runtime.onMessage;
+    });
+
+    return context;
+  }
+
+  useSnapshots(mode, snapshotPath = this.config.snapshotPath) {
+    if (mode && !SNAPSHOT_MODES.includes(mode)) {
+      throw new Error(
+        `Invalid snapshot mode: ${mode} (expected ${SNAPSHOT_MODES.join(
+          " or "
+        )})`
+      );
     }
+
+    this.snapshotMode = mode || null;
+    this.snapshots = mode ? new PageSnapshotStore(snapshotPath) : null;
   }
 
   async scrapeRestaurant(site) {
+    // Snapshots are recorded and replayed through the browser only
+    if (site.mode === "http" && !this.snapshotMode) {
+      const result = await this.scrapeRestaurantOverHttp(site);
+      if (result.success) return result;
+
+      this.logger.warn(
+        `HTTP scraping failed for ${site.name} (${result.error}), falling back to the browser`
+      );
+    }
+
+    return await this.contextPool.withContext((context) =>
+      this.scrapeRestaurantInContext(context, site)
+    );
+  }
+
+  async scrapeRestaurantOverHttp(site) {
+    let httpStatus = null;
+
+    try {
+      this.logger.info(`Starting HTTP scraping for: ${site.name}`);
+
+      const rules = this.getExtractionRules(site);
+      const dailyMenu = await this.httpScraper.scrape(site, rules);
+      httpStatus = dailyMenu.httpStatus;
+
+      const closure =
+        dailyMenu.items.length > 0
+          ? null
+          : detectClosure(dailyMenu.closureSignals, rules, this.getToday(site));
+
+      // A heading whose items are rendered client-side is left to the
+      // browser, like a page without a section
+      if (dailyMenu.section && dailyMenu.items.length > 0) {
+        this.logger.info(
+          `Found daily menu section with ${dailyMenu.section.totalItems} items over HTTP`
+        );
+      } else if (!closure) {
+        throw new Error(
+          dailyMenu.section
+            ? "Daily menu section in the server-rendered HTML has no items"
+            : "No daily menu section in the server-rendered HTML"
+        );
+      }
+
+      return {
+        success: true,
+        mode: "http",
+        restaurant: this.describeRestaurant(site, dailyMenu.pageText),
+        url: site.url,
+        scrapedAt: new Date().toISOString(),
+        screenshotPath: null,
+        ...this.buildMenu(
+          site,
+          dailyMenu.items,
+          dailyMenu.section?.heading || null,
+          closure
+        ),
+      };
+    } catch (error) {
+      return {
+        success: false,
+        mode: "http",
+        restaurant: this.describeRestaurant(site),
+        error: error.message,
+        failureReason: describeFailure(
+          error,
+          error.response?.status ?? httpStatus
+        ),
+      };
+    }
+  }
+
+  async scrapeRestaurantInContext(context, site) {
+    let httpStatus = null;
+    let bestDailyMenuViewport = null;
+    let requestBlocker = null;
+    const takeScreenshots = site.screenshots !== false;
+
     try {
-      this.bestDailyMenuViewport = null;
+      if (this.snapshotMode === "record") {
+        await this.snapshots.prepareRecording(context, site);
+        this.logger.info(`Recording page snapshot for: ${site.name}`);
+      } else if (this.snapshotMode === "replay") {
+        const source = await this.snapshots.prepareReplay(context, site);
+        this.logger.info(`Replaying ${source} snapshot for: ${site.name}`);
+      }
+
+      if (site.requestBlocking) {
+        requestBlocker = new RequestBlocker(site.requestBlocking, {
+          allowImages: takeScreenshots,
+        });
+        await requestBlocker.attach(context);
+      }
+
+      const page = await context.newPage();
+      const networkCapture = site.network
+        ? new NetworkCapture(page, site.network)
+        : null;
 
       this.logger.info(`Starting screenshot-based scraping for: ${site.name}`);
 
-      await this.page.goto(site.url, {
+      const response = await page.goto(site.url, {
         waitUntil: "domcontentloaded",
         timeout: this.config.timeout || 60000,
       });
+      httpStatus = response?.status() ?? null;
 
-      const isCloudflareProtected = await this.handleCloudflareProtection();
+      const isCloudflareProtected = await this.handleCloudflareProtection(page);
       if (isCloudflareProtected) {
         this.logger.info(
           "Cloudflare protection detected, waiting for verification..."
         );
-        await this.page.waitForTimeout(15000);
+        await page.waitForTimeout(15000);
 
         try {
-          await this.page.goto(site.url, {
+          const retryResponse = await page.goto(site.url, {
             waitUntil: "domcontentloaded",
             timeout: 30000,
           });
+          httpStatus = retryResponse?.status() ?? httpStatus;
         } catch (error) {
           this.logger.warn(
             "Failed to navigate after Cloudflare verification, proceeding..."
@@ -93,82 +276,29 @@ export class ScreenshotScraper {
         }
       }
 
-      try {
-        await this.page.waitForTimeout(3000);
-
-        const cookieSelectors = [
-          'button:has-text("Súhlasím")',
-          'button:has-text("Prijať všetky")',
-          'button:has-text("Prijať")',
-          'button:has-text("Accept all")',
-          'button:has-text("Accept")',
-          'button:has-text("Akceptovať")',
-          'button:has-text("OK")',
-          '[id*="cookie"] button:first-of-type',
-          '[class*="cookie"] button:first-of-type',
-          '[data-testid*="cookie"] button',
-          '[class*="consent"] button:first-of-type',
-          'button[class*="accept"]',
-          'button[id*="accept"]',
-        ];
-
-        let cookieAccepted = false;
-        for (const selector of cookieSelectors) {
-          try {
-            const cookieButton = await this.page.locator(selector).first();
-            if (await cookieButton.isVisible({ timeout: 2000 })) {
-              await cookieButton.click();
-              this.logger.info(
-                `Cookie banner accepted using selector: ${selector}`
-              );
-              await this.page.waitForTimeout(3000);
-              cookieAccepted = true;
-              break;
-            }
-          } catch (e) {}
-        }
-
-        if (!cookieAccepted) {
-          try {
-            const dialogButtons = await this.page
-              .locator(
-                '[role="dialog"] button, .modal button, [class*="popup"] button'
-              )
-              .all();
-            if (dialogButtons.length > 0) {
-              await dialogButtons[0].click();
-              this.logger.info("Cookie banner accepted via dialog button");
-              await this.page.waitForTimeout(3000);
-              cookieAccepted = true;
-            }
-          } catch (e) {}
-        }
-
-        if (!cookieAccepted) {
-          this.logger.info("No cookie banner found or already accepted");
-        }
-      } catch (error) {
-        this.logger.warn("Cookie handling failed:", error.message);
-      }
-
-      if (site.customScript) {
-        try {
-          this.logger.info(`Executing custom script for ${site.name}`);
-          await eval(`(async () => { ${site.customScript} })()`);
-        } catch (error) {
-          this.logger.warn("Custom script failed:", error.message);
-        }
+      if (site.pageActions?.length > 0) {
+        this.logger.info(
+          `Running ${site.pageActions.length} page actions for ${site.name}`
+        );
+        await runPageActions(page, site.pageActions, this.logger, site.name);
       }
 
       if (site.waitForSelector) {
-        await this.page.waitForSelector(site.waitForSelector, {
+        await page.waitForSelector(site.waitForSelector, {
           timeout: 10000,
         });
       }
 
-      if (true) {
+      // Responses captured while the page loaded make scrolling through the
+      // page and reading it viewport by viewport unnecessary
+      const networkMenu = networkCapture
+        ? await this.extractMenuFromNetwork(networkCapture, site)
+        : null;
+      const readPage = !(networkMenu?.items.length > 0);
+
+      if (readPage) {
         try {
-          await this.page.evaluate(() => {
+          await page.evaluate(() => {
             return new Promise((resolve) => {
               let totalHeight = 0;
               const distance = 100;
@@ -186,7 +316,7 @@ export class ScreenshotScraper {
             });
           });
 
-          await this.page.waitForTimeout(2000);
+          await page.waitForTimeout(2000);
           this.logger.info("Scrolled to load all daily menu items");
         } catch (error) {
           this.logger.warn("Scrolling failed:", error.message);
@@ -199,14 +329,13 @@ export class ScreenshotScraper {
         .split(".")[0];
       const screenshots = [];
       let allDailyMenuItems = [];
+      let menuHeading = null;
 
-      if (true) {
+      if (readPage) {
         this.logger.info("Taking progressive screenshots for lazy loading...");
 
-        const viewportHeight = await this.page.evaluate(
-          () => window.innerHeight
-        );
-        const totalHeight = await this.page.evaluate(
+        const viewportHeight = await page.evaluate(() => window.innerHeight);
+        const totalHeight = await page.evaluate(
           () => document.body.scrollHeight
         );
         const scrollSteps = Math.ceil(totalHeight / viewportHeight);
@@ -215,129 +344,62 @@ export class ScreenshotScraper {
           `Page height: ${totalHeight}px, Viewport: ${viewportHeight}px, Steps: ${scrollSteps}`
         );
 
-        await this.page.evaluate(() => window.scrollTo(0, 0));
-        await this.page.waitForTimeout(2000);
+        await page.evaluate(() => window.scrollTo(0, 0));
+        await page.waitForTimeout(2000);
 
         for (let step = 0; step < Math.min(scrollSteps, 3); step++) {
           const scrollY = step * viewportHeight;
 
-          await this.page.evaluate((y) => window.scrollTo(0, y), scrollY);
-          await this.page.waitForTimeout(2000);
+          await page.evaluate((y) => window.scrollTo(0, y), scrollY);
+          await page.waitForTimeout(2000);
 
-          const stepScreenshotPath = path.join(
-            this.screenshotDir,
-            `${site.name}-${timestamp}-step${step + 1}.png`
-          );
-          await this.page.screenshot({
-            path: stepScreenshotPath,
-            type: "png",
-          });
-
-          screenshots.push(stepScreenshotPath);
-          this.logger.info(
-            `Screenshot ${step + 1}/${Math.min(scrollSteps, 3)} saved: step${
-              step + 1
-            }.png`
-          );
-
-          const dailyMenuInfo = await this.page.evaluate((currentStep) => {
-            const dailyMenuSection = [
-              ...document.querySelectorAll(
-                'section, div, article, main, [role="region"]'
-              ),
-            ].find((el) => {
-              if (!el.textContent) return false;
-
-              const text = el.textContent.toLowerCase();
-
-              const excludePatterns = [
-                "obľúbené",
-                "oblubene",
-                "populárne",
-                "popular",
-                "favorites",
-                "burger central",
-                "domáca slovenská klasika",
-                "hlavné jedlá",
-              ];
-
-              if (excludePatterns.some((pattern) => text.includes(pattern))) {
-                return false;
-              }
-
-              const dailyMenuPatterns = [
-                /denné menu (pondelok|utorok|streda|štvrtok|piatok|sobota|nedeľa)/i,
-                /daily menu (monday|tuesday|wednesday|thursday|friday|saturday|sunday)/i,
-                /denne menu (pondelok|utorok|streda|štvrtok|piatok|sobota|nedeľa)/i,
-              ];
-
-              return (
-                dailyMenuPatterns.some((pattern) => pattern.test(text)) ||
-                (text.includes("denné menu") &&
-                  text.includes("položiek") &&
-                  !excludePatterns.some((pattern) => text.includes(pattern)))
-              );
+          if (takeScreenshots) {
+            const stepScreenshotPath = path.join(
+              this.screenshotDir,
+              `${site.name}-${timestamp}-step${step + 1}.png`
+            );
+            await page.screenshot({
+              path: stepScreenshotPath,
+              type: "png",
             });
 
-            if (dailyMenuSection) {
-              const rect = dailyMenuSection.getBoundingClientRect();
-              const isVisible = rect.top >= 0 && rect.top <= window.innerHeight;
-
-              if (isVisible) {
-                const menuItems = dailyMenuSection.querySelectorAll("li");
-                const visibleItems = [...menuItems].filter((item) => {
-                  const itemRect = item.getBoundingClientRect();
-                  const itemText = item.textContent?.trim() || "";
-                  return (
-                    itemRect.top >= 0 &&
-                    itemRect.top <= window.innerHeight &&
-                    itemText.includes("€") &&
-                    itemText.length > 20
-                  );
-                });
-
-                return {
-                  visible: true,
-                  totalItems: menuItems.length,
-                  visibleItems: visibleItems.length,
-                  sampleText: dailyMenuSection.textContent.substring(0, 200),
-                  stepNumber: currentStep,
-                };
-              }
-            }
+            screenshots.push(stepScreenshotPath);
+            this.logger.info(
+              `Screenshot ${step + 1}/${Math.min(scrollSteps, 3)} saved: step${
+                step + 1
+              }.png`
+            );
+          }
 
-            return {
-              visible: false,
-              totalItems: 0,
-              visibleItems: 0,
-              stepNumber: currentStep,
-            };
-          }, step + 1);
+          const dailyMenu = await this.extractItemsFromCurrentViewport(
+            page,
+            site,
+            step + 1
+          );
 
-          if (dailyMenuInfo.visible) {
+          menuHeading ||= dailyMenu.section?.heading || null;
+
+          if (dailyMenu.section?.visible) {
             this.logger.info(
               `Daily menu found in viewport ${step + 1}: ${
-                dailyMenuInfo.visibleItems
-              }/${dailyMenuInfo.totalItems} items visible`
+                dailyMenu.section.visibleItems
+              }/${dailyMenu.section.totalItems} items visible`
             );
 
             if (
-              !this.bestDailyMenuViewport ||
-              dailyMenuInfo.visibleItems >
-                this.bestDailyMenuViewport.visibleItems
+              !bestDailyMenuViewport ||
+              dailyMenu.section.visibleItems >
+                bestDailyMenuViewport.visibleItems
             ) {
-              this.bestDailyMenuViewport = {
-                ...dailyMenuInfo,
+              bestDailyMenuViewport = {
+                ...dailyMenu.section,
                 scrollY: scrollY,
                 stepNumber: step + 1,
               };
             }
           }
 
-          const viewportItems = await this.extractItemsFromCurrentViewport(
-            site.name,
-            step + 1
-          );
+          const viewportItems = dailyMenu.items;
           if (viewportItems.length > 0) {
             allDailyMenuItems.push(...viewportItems);
             this.logger.info(
@@ -350,450 +412,288 @@ export class ScreenshotScraper {
           }
         }
 
-        await this.page.evaluate(() => window.scrollTo(0, 0));
-        await this.page.waitForTimeout(2000);
+        await page.evaluate(() => window.scrollTo(0, 0));
+        await page.waitForTimeout(2000);
+      }
+
+      let screenshotPath = null;
+      if (takeScreenshots) {
+        screenshotPath = path.join(
+          this.screenshotDir,
+          `${site.name}-${timestamp}.png`
+        );
+        await page.screenshot({
+          path: screenshotPath,
+          fullPage: true,
+          type: "png",
+        });
+        screenshots.push(screenshotPath);
+        this.logger.info(`Screenshots saved: ${screenshots.length} images`);
       }
 
-      const mainScreenshotPath = path.join(
-        this.screenshotDir,
-        `${site.name}-${timestamp}.png`
+      if (requestBlocker) {
+        const { blocked, total } = requestBlocker.stats;
+        this.logger.info(
+          `Blocked ${blocked}/${total} requests for ${site.name}`
+        );
+      }
+
+      const pageMenu = !readPage
+        ? networkMenu
+        : allDailyMenuItems.length > 0
+        ? { heading: menuHeading, items: allDailyMenuItems }
+        : await this.extractMenuFromScreenshot(
+            page,
+            screenshotPath,
+            site,
+            bestDailyMenuViewport
+          );
+      const closure =
+        pageMenu.items.length === 0
+          ? await this.detectClosureOnPage(page, site)
+          : null;
+      const menu = this.buildMenu(
+        site,
+        pageMenu.items,
+        pageMenu.heading || menuHeading,
+        closure
       );
-      await this.page.screenshot({
-        path: mainScreenshotPath,
-        fullPage: true,
-        type: "png",
-      });
-      screenshots.push(mainScreenshotPath);
-
-      const screenshotPath = mainScreenshotPath;
-      this.logger.info(`Screenshots saved: ${screenshots.length} images`);
-
-      let menuData =
-        allDailyMenuItems.length > 0
-          ? allDailyMenuItems
-          : await this.extractMenuFromScreenshot(
-              screenshotPath,
-              site,
-              this.bestDailyMenuViewport
-            );
 
-      this.logger.info(`Final menu data: ${menuData.length} items collected`);
+      const restaurant = await this.readRestaurantOnPage(page, site);
+
+      const menuScreenshotPath =
+        takeScreenshots && site.menuScreenshot
+          ? await this.takeMenuScreenshot(page, site, timestamp)
+          : null;
+
+      if (this.snapshotMode === "record") {
+        await this.snapshots.saveRecording(page, site);
+        this.logger.info(`Snapshot saved for ${site.name}`);
+      }
 
       return {
         success: true,
-        restaurant: site.name,
+        mode: "browser",
+        restaurant,
         url: site.url,
         scrapedAt: new Date().toISOString(),
         screenshotPath,
-        menuData,
-        itemCount: menuData.length,
+        menuScreenshotPath,
+        ...menu,
+        requests: requestBlocker?.stats || null,
       };
     } catch (error) {
       this.logger.error(`Screenshot scraping failed for ${site.name}:`, error);
       return {
         success: false,
-        restaurant: site.name,
+        mode: "browser",
+        restaurant: this.describeRestaurant(site),
         error: error.message,
+        failureReason: describeFailure(error, httpStatus),
+        requests: requestBlocker?.stats || null,
       };
     }
   }
 
-  async extractItemsFromCurrentViewport(siteName, viewportNumber) {
-    return await this.page.evaluate(
-      ({ siteName, viewportNumber }) => {
-        const extractedItems = [];
-
-        const dailyMenuSelectors = [
-          ...["section", "div", "article", "main", '[role="region"]'].map(
-            (tag) => {
-              const elements = [...document.querySelectorAll(tag)];
-              return elements.find((el) => {
-                if (!el.textContent) return false;
-
-                const text = el.textContent.toLowerCase();
-
-                const excludePatterns = [
-                  "obľúbené",
-                  "oblubene",
-                  "populárne",
-                  "popular",
-                  "favorites",
-                  "burger central",
-                  "domáca slovenská klasika",
-                  "hlavné jedlá",
-                ];
-
-                if (excludePatterns.some((pattern) => text.includes(pattern))) {
-                  return false;
-                }
+  async takeMenuScreenshot(page, site, timestamp) {
+    const menuScreenshotPath = path.join(
+      this.screenshotDir,
+      `${site.name}-${timestamp}-menu.png`
+    );
 
-                const dailyMenuPatterns = [
-                  /denné menu (pondelok|utorak|streda|štvrtok|piatok|sobota|nedeľa)/i,
-                  /daily menu (monday|tuesday|wednesday|thursday|friday|saturday|sunday)/i,
-                  /denne menu (pondelok|utorok|streda|štvrtok|piatok|sobota|nedeľa)/i,
-                ];
-
-                return (
-                  dailyMenuPatterns.some((pattern) => pattern.test(text)) ||
-                  (text.includes("denné menu") &&
-                    text.includes("položiek") &&
-                    !excludePatterns.some((pattern) => text.includes(pattern)))
-                );
-              });
-            }
-          ),
-        ].filter(Boolean);
+    try {
+      if (
+        await captureMenuScreenshot(
+          page,
+          menuScreenshotPath,
+          site.menuScreenshot
+        )
+      ) {
+        this.logger.info(`Daily menu screenshot saved for ${site.name}`);
+        return menuScreenshotPath;
+      }
+    } catch (error) {
+      this.logger.warn(
+        `Failed to capture daily menu screenshot for ${site.name}: ${error.message}`
+      );
+    }
 
-        let dailyMenuSection = null;
-        for (const selector of dailyMenuSelectors) {
-          if (typeof selector === "string") {
-            dailyMenuSection = document.querySelector(selector);
-          } else {
-            dailyMenuSection = selector;
-          }
-          if (dailyMenuSection) break;
-        }
+    return null;
+  }
 
-        if (dailyMenuSection) {
-          const menuItems = dailyMenuSection.querySelectorAll("li");
+  // Normalizes and merges the raw items and dates the menu by its heading
+  buildMenu(site, extractedItems, menuHeading, closure = null) {
+    const rules = this.getExtractionRules(site);
+    const { items: menuData, duplicates } = mergeDuplicateItems(
+      extractedItems.map((item) => normalizeMenuItem(item, rules)),
+      rules
+    );
 
-          const visibleItems = [...menuItems].filter((item) => {
-            const rect = item.getBoundingClientRect();
-            return (
-              rect.top >= 0 &&
-              rect.top <= window.innerHeight &&
-              rect.height > 10
-            );
-          });
+    if (duplicates > 0) {
+      this.logger.info(
+        `Dropped ${duplicates} duplicate items seen in overlapping viewports`
+      );
+    }
 
-          visibleItems.forEach((item, index) => {
-            try {
-              const itemText = item.textContent?.trim() || "";
-
-              if (
-                itemText.length < 15 ||
-                itemText.includes("Denné menu") ||
-                itemText.includes("položiek") ||
-                itemText.includes("Zobraz viac") ||
-                !itemText.includes("€")
-              ) {
-                return;
-              }
-
-              if (itemText.includes("€")) {
-                let cleanText = itemText.replace(/\s+/g, " ").trim();
-
-                const priceMatch = cleanText.match(/(\d+,\d+\s*€)/);
-                if (!priceMatch) {
-                  return;
-                }
+    this.logger.info(`Final menu data: ${menuData.length} items collected`);
 
-                const firstPriceIndex = cleanText.indexOf(priceMatch[0]);
-                let name = cleanText.substring(0, firstPriceIndex).trim();
-
-                name = name.replace(
-                  /^(Samostatná polievka:\s*|Polievka [0-9]:\s*|Menu [0-9]:\s*)/i,
-                  ""
-                );
-                name = name.replace(/od$/, "");
-                name = name.replace(/[,.]od$/, "");
-                name = name.replace(/\.od$/, "");
-                name = name.replace(/[,.]$/, "");
-                name = name.trim();
-
-                const pricePattern = /(od\s+)?(\d+,\d+)\s*€/;
-                const priceMatch2 = cleanText.match(pricePattern);
-                const price = priceMatch2
-                  ? priceMatch2[1]
-                    ? `od ${priceMatch2[2]} €`
-                    : `${priceMatch2[2]} €`
-                  : "N/A";
-
-                let description = cleanText.substring(
-                  firstPriceIndex + priceMatch[0].length
-                );
-                description = description.replace(/popis jedla.*$/i, "");
-                description = description.replace(/\d+,\d+\s*€.*$/g, "");
-                description = description.replace(/\d+,\d+kg.*$/g, "");
-                description = description.replace(/\d+,\d+l.*$/g, "");
-                description = description.trim() || "Daily menu item";
-
-                if (name && name.length > 3 && !name.includes("€")) {
-                  extractedItems.push({
-                    name: name,
-                    price: price,
-                    category:
-                      dailyMenuSection.textContent.match(
-                        /(Denné menu [a-záčďéíĺľňóôŕšťúýž]+|Daily menu|Menu dňa)/i
-                      )?.[0] || "Daily Menu",
-                    description: description,
-                    screenshot: true,
-                    source: "daily-menu-section",
-                    viewport: viewportNumber,
-                  });
-                }
-              }
-            } catch (e) {}
-          });
-        }
+    const today = this.getToday(site);
+    const menuDay = parseMenuDay(menuHeading, rules.menuDayPattern, today);
+    const freshness = getMenuFreshness(menuDay, today);
 
-        return extractedItems;
-      },
-      { siteName, viewportNumber }
-    );
+    if (freshness === MENU_FRESHNESS.STALE) {
+      this.logger.warn(
+        `Daily menu for ${site.name} is not for today: "${menuDay.heading}"`
+      );
+    }
+
+    if (closure) {
+      this.logger.info(`${site.name} is closed today: ${closure.reason}`);
+    }
+
+    return {
+      menuData,
+      itemCount: menuData.length,
+      duplicatesDropped: duplicates,
+      menuDay,
+      freshness,
+      status: closure
+        ? MENU_STATUS.CLOSED
+        : menuData.length > 0
+        ? MENU_STATUS.AVAILABLE
+        : MENU_STATUS.NO_MENU,
+      closedReason: closure?.reason || null,
+    };
   }
 
-  async extractMenuFromScreenshot(screenshotPath, site, bestViewport = null) {
+  // Only asked when no menu was found, since a closed notice next to a
+  // posted menu usually refers to something else (e.g. delivery hours)
+  async detectClosureOnPage(page, site) {
     try {
-      const menuItems = [];
+      const rules = this.getExtractionRules(site);
+      const signals = await page.evaluate(collectClosureSignals, rules);
+      return detectClosure(signals, rules, this.getToday(site));
+    } catch (error) {
+      this.logger.warn(
+        `Closure check failed for ${site.name}: ${error.message}`
+      );
+      return null;
+    }
+  }
 
-      if (bestViewport && site.name === "Central Pub") {
-        this.logger.info(
-          `Scrolling to best daily menu viewport: step ${bestViewport.stepNumber} with ${bestViewport.visibleItems} items`
-        );
-        await this.page.evaluate(
-          (y) => window.scrollTo(0, y),
-          bestViewport.scrollY
-        );
-        await this.page.waitForTimeout(2000);
-      }
+  // Opening hours, delivery and rating as shown around the menu
+  describeRestaurant(site, pageText = null) {
+    return {
+      name: site.name,
+      ...(site.restaurantInfo &&
+        pageText !== null &&
+        parseRestaurantInfo(pageText, site.restaurantInfo)),
+    };
+  }
 
-      const items = await this.page.evaluate(
-        ({ siteName, viewport }) => {
-          const extractedItems = [];
+  async readRestaurantOnPage(page, site) {
+    if (!site.restaurantInfo) return this.describeRestaurant(site);
 
-          if (!window.lastConsoleMessages) {
-            window.lastConsoleMessages = [];
-          }
-          const originalLog = console.log;
-          console.log = function (...args) {
-            window.lastConsoleMessages.push(args.join(" "));
-            originalLog.apply(console, args);
-          };
-
-          if (true) {
-            console.log("Looking for daily menu in", siteName, "...");
-
-            const dailyMenuSelectors = [
-              ...["section", "div", "article", "main", '[role="region"]'].map(
-                (tag) => {
-                  const elements = [...document.querySelectorAll(tag)];
-                  return elements.find((el) => {
-                    if (!el.textContent) return false;
-
-                    const text = el.textContent.toLowerCase();
-
-                    const excludePatterns = [
-                      "obľúbené",
-                      "oblubene",
-                      "populárne",
-                      "popular",
-                      "favorites",
-                      "burger central",
-                      "domáca slovenská klasika",
-                      "hlavné jedlá",
-                    ];
-
-                    if (
-                      excludePatterns.some((pattern) => text.includes(pattern))
-                    ) {
-                      return false;
-                    }
-
-                    const dailyMenuPatterns = [
-                      /denné menu (pondelok|utorok|streda|štvrtok|piatok|sobota|nedeľa)/i,
-                      /daily menu (monday|tuesday|wednesday|thursday|friday|saturday|sunday)/i,
-                      /denne menu (pondelok|utorok|streda|štvrtok|piatok|sobota|nedeľa)/i,
-                    ];
-
-                    return (
-                      dailyMenuPatterns.some((pattern) => pattern.test(text)) ||
-                      (text.includes("denné menu") &&
-                        text.includes("položiek") &&
-                        !excludePatterns.some((pattern) =>
-                          text.includes(pattern)
-                        ))
-                    );
-                  });
-                }
-              ),
-            ].filter(Boolean);
-
-            let dailyMenuSection = null;
-            for (const selector of dailyMenuSelectors) {
-              if (typeof selector === "string") {
-                dailyMenuSection = document.querySelector(selector);
-              } else {
-                dailyMenuSection = selector;
-              }
-              if (dailyMenuSection) break;
-            }
+    try {
+      return this.describeRestaurant(
+        site,
+        await page.evaluate(collectPageText)
+      );
+    } catch (error) {
+      this.logger.warn(
+        `Reading restaurant info failed for ${site.name}: ${error.message}`
+      );
+      return this.describeRestaurant(site);
+    }
+  }
 
-            if (dailyMenuSection) {
-              console.log(
-                "Found daily menu section:",
-                dailyMenuSection.className || dailyMenuSection.tagName
-              );
-              console.log(
-                "Section text preview:",
-                dailyMenuSection.textContent.substring(0, 150)
-              );
-
-              const menuItems = dailyMenuSection.querySelectorAll("li");
-              console.log(
-                "Found",
-                menuItems.length,
-                "daily menu items in section"
-              );
-
-              const visibleItems = [...menuItems].filter((item) => {
-                const rect = item.getBoundingClientRect();
-                return (
-                  rect.top >= 0 &&
-                  rect.top <= window.innerHeight &&
-                  rect.height > 10
-                );
-              });
-
-              console.log("Visible daily menu items:", visibleItems.length);
-
-              visibleItems.forEach((item, index) => {
-                try {
-                  const itemText = item.textContent?.trim() || "";
-                  console.log(
-                    `Processing visible item ${index + 1}:`,
-                    itemText.substring(0, 80)
-                  );
-
-                  if (
-                    itemText.length < 5 ||
-                    itemText.includes("Denné menu") ||
-                    itemText.includes("položiek") ||
-                    itemText.includes("Zobraz viac") ||
-                    !itemText.includes("€")
-                  ) {
-                    console.log("  -> Skipping (header/short/no price)");
-                    return;
-                  }
-
-                  if (itemText.includes("€")) {
-                    console.log("  -> Processing item with price");
-
-                    let cleanText = itemText.replace(/\s+/g, " ").trim();
-                    console.log("  -> Cleaned text:", cleanText);
-
-                    const priceMatch = cleanText.match(/(\d+,\d+\s*€)/);
-                    if (!priceMatch) {
-                      console.log("  -> No price pattern found");
-                      return;
-                    }
-
-                    const firstPriceIndex = cleanText.indexOf(priceMatch[0]);
-                    let name = cleanText.substring(0, firstPriceIndex).trim();
-
-                    name = name.replace(
-                      /^(Samostatná polievka:\s*|Polievka [0-9]:\s*|Menu [0-9]:\s*)/i,
-                      ""
-                    );
-                    name = name.replace(/od$/, "");
-                    name = name.replace(/[,.]od$/, "");
-                    name = name.replace(/\.od$/, "");
-                    name = name.replace(/[,.]$/, "");
-                    name = name.trim();
-
-                    const pricePattern = /(od\s+)?(\d+,\d+)\s*€/;
-                    const priceMatch2 = cleanText.match(pricePattern);
-                    const price = priceMatch2
-                      ? priceMatch2[1]
-                        ? `od ${priceMatch2[2]} €`
-                        : `${priceMatch2[2]} €`
-                      : "N/A";
-
-                    let description = cleanText.substring(
-                      firstPriceIndex + priceMatch[0].length
-                    );
-                    description = description.replace(/popis jedla.*$/i, "");
-                    description = description.replace(/\d+,\d+\s*€.*$/g, "");
-                    description = description.replace(/\d+,\d+kg.*$/g, "");
-                    description = description.replace(/\d+,\d+l.*$/g, "");
-                    description = description.trim() || "Denne menu item";
-
-                    if (name && name.length > 3 && !name.includes("€")) {
-                      console.log(
-                        "✓ Extracted daily menu item:",
-                        name,
-                        "|",
-                        price
-                      );
-                      extractedItems.push({
-                        name: name,
-                        price: price,
-                        category:
-                          dailyMenuSection.textContent.match(
-                            /(Denné menu [a-záčďéíĺľňóôŕšťúýž]+|Daily menu|Menu dňa)/i
-                          )?.[0] || "Daily Menu",
-                        description: description,
-                        screenshot: true,
-                        source: "daily-menu-section",
-                        viewport: viewport ? viewport.stepNumber : "unknown",
-                      });
-                    } else {
-                      console.log(
-                        "  -> Rejected item - name too short or contains €:",
-                        name
-                      );
-                    }
-                  }
-                } catch (e) {
-                  console.log("Error processing daily menu item:", e);
-                }
-              });
-
-              console.log(
-                "Daily menu extraction complete. Found",
-                extractedItems.length,
-                "items"
-              );
-            } else {
-              console.log(
-                "Daily menu section not found, searching for alternative patterns..."
-              );
-
-              const allElements = document.querySelectorAll("*");
-              for (const element of allElements) {
-                if (
-                  element.textContent &&
-                  element.textContent.includes("Denné menu streda")
-                ) {
-                  console.log(
-                    "Found alternative daily menu container:",
-                    element.tagName,
-                    element.className
-                  );
-                  break;
-                }
-              }
-            }
-          }
+  getToday(site) {
+    return getZonedDay(this.getReferenceDate(site), this.siteConfig.timezone);
+  }
 
-          if (extractedItems.length === 0) {
-            console.log(
-              'No daily menu section found - returning empty results to show "No daily menu available" message'
-            );
-          }
+  // Replayed snapshots are judged against the day they were recorded, or
+  // the day a hand-built page is dated for
+  getReferenceDate(site) {
+    const meta =
+      this.snapshotMode === "replay" ? this.snapshots.readMeta(site) : null;
+    if (meta?.recordedAt) return new Date(meta.recordedAt);
+    if (meta?.day) return new Date(`${meta.day}T12:00:00Z`);
+    return new Date();
+  }
 
-          return extractedItems;
-        },
-        { siteName: site.name, viewport: bestViewport }
+  async extractItemsFromCurrentViewport(page, site, viewportNumber) {
+    return await page.evaluate(extractDailyMenu, {
+      rules: this.getExtractionRules(site),
+      viewport: viewportNumber,
+      mark: true,
+    });
+  }
+
+  async extractMenuFromNetwork(networkCapture, site) {
+    const payloads = await networkCapture.collect();
+    const networkMenu = mapNetworkItems(
+      payloads,
+      site.network,
+      this.getExtractionRules(site)
+    );
+
+    if (networkMenu.items.length > 0) {
+      this.logger.info(
+        `Extracted ${networkMenu.items.length} menu items from ${payloads.length} network responses`
       );
+    } else {
+      this.logger.info(
+        `No menu items in ${payloads.length} matching network responses, falling back to the page`
+      );
+    }
+
+    return networkMenu;
+  }
+
+  getExtractionRules(site) {
+    return (
+      site.extraction ||
+      resolveExtractionRules(
+        {},
+        this.siteConfig.sitesConfig.globalSettings?.extraction
+      )
+    );
+  }
 
-      const logs = await this.page.evaluate(() => {
-        return window.lastConsoleMessages || [];
+  async extractMenuFromScreenshot(
+    page,
+    screenshotPath,
+    site,
+    bestViewport = null
+  ) {
+    let dailyMenu = null;
+
+    try {
+      if (bestViewport) {
+        this.logger.info(
+          `Scrolling to best daily menu viewport: step ${bestViewport.stepNumber} with ${bestViewport.visibleItems} items`
+        );
+        await page.evaluate((y) => window.scrollTo(0, y), bestViewport.scrollY);
+        await page.waitForTimeout(2000);
+      }
+
+      this.logger.info(`Looking for daily menu in ${site.name}...`);
+
+      const { section, items } = await page.evaluate(extractDailyMenu, {
+        rules: this.getExtractionRules(site),
+        viewport: bestViewport ? bestViewport.stepNumber : "unknown",
+        mark: true,
       });
 
-      if (logs.length > 0) {
-        this.logger.info("Browser console logs:");
-        logs.forEach((log) => this.logger.info("  " + log));
+      if (section) {
+        this.logger.debug(`Section text preview: ${section.sampleText}`);
+        this.logger.info(
+          `Found daily menu section with ${section.totalItems} items`
+        );
+      } else {
+        this.logger.info(
+          'No daily menu section found - returning empty results to show "No daily menu available" message'
+        );
       }
 
       this.logger.info(
@@ -802,39 +702,54 @@ export class ScreenshotScraper {
         })`
       );
 
-      if (site.name === "Central Pub" && items.length > 0) {
-        this.logger.info("Central Pub items extracted:");
-        items.forEach((item, index) => {
-          this.logger.info(
-            `  ${index + 1}. ${item.name} (${item.category}) - ${item.price} [${
-              item.source
-            }]`
-          );
-        });
-      }
+      items.forEach((item, index) => {
+        this.logger.debug(
+          `  ${index + 1}. ${item.name} (${item.category}) - ${
+            item.priceText
+          } [${item.source}]`
+        );
+      });
 
-      return items;
+      dailyMenu = { heading: section?.heading || null, items };
     } catch (error) {
-      this.logger.error("Failed to extract menu from screenshot:", error);
-      return [
-        {
-          name: "Screenshot Analysis Required",
-          price: "N/A",
-          category: "Manual Review",
-          description: `Screenshot saved at ${screenshotPath} - requires manual or AI analysis`,
-          screenshot: true,
-        },
-      ];
+      this.logger.error("Failed to extract menu from DOM:", error);
     }
+
+    if (dailyMenu?.items.length > 0) return dailyMenu;
+
+    // Nothing in the DOM: the menu may be posted as an image
+    const analysis = await this.analyzeScreenshotWithAI(screenshotPath, site);
+    this.logger.info(analysis.message);
+    if (analysis.menuItems.length > 0) {
+      return { heading: analysis.heading, items: analysis.menuItems };
+    }
+
+    return (
+      dailyMenu || {
+        heading: null,
+        items: [
+          {
+            name: "Screenshot Analysis Required",
+            priceText: null,
+            category: "Manual Review",
+            description: `${
+              screenshotPath
+                ? `Screenshot saved at ${screenshotPath}`
+                : "No screenshot taken"
+            } - requires manual or AI analysis`,
+            screenshot: true,
+          },
+        ],
+      }
+    );
   }
 
   async close() {
     try {
-      if (this.page) {
-        await this.page.close();
-      }
       if (this.browser) {
         await this.browser.close();
+        this.browser = null;
+        this.browserLaunch = null;
       }
       this.logger.info("Screenshot scraper closed successfully");
     } catch (error) {
@@ -842,9 +757,9 @@ export class ScreenshotScraper {
     }
   }
 
-  async handleCloudflareProtection() {
+  async handleCloudflareProtection(page) {
     try {
-      const cloudflareDetected = await this.page.evaluate(() => {
+      const cloudflareDetected = await page.evaluate(() => {
         const title = document.title?.toLowerCase() || "";
         const bodyText = document.body?.textContent?.toLowerCase() || "";
 
@@ -863,9 +778,9 @@ export class ScreenshotScraper {
       });
 
       if (cloudflareDetected) {
-        await this.page.waitForTimeout(5000);
+        await page.waitForTimeout(5000);
 
-        const stillProtected = await this.page.evaluate(() => {
+        const stillProtected = await page.evaluate(() => {
           const bodyText = document.body?.textContent?.toLowerCase() || "";
           return (
             bodyText.includes("verifying you are human") ||
@@ -886,81 +801,162 @@ export class ScreenshotScraper {
     }
   }
 
-  async analyzeScreenshotWithAI(screenshotPath) {
-    const prompt = `
-    Analyze this restaurant menu screenshot and extract all menu items in JSON format.
-    For each item, provide:
-    - name: the dish name
-    - price: the price (keep original format)  
-    - category: the menu section/category
-    - description: any description text (if visible)
-    
-    Return as an array of objects.
-    `;
+  async analyzeScreenshotWithAI(screenshotPath, site) {
+    const analyzer =
+      site.screenshotAnalysis === false ? null : this.screenshotAnalyzer;
 
-    return {
-      menuItems: [],
-      message:
-        "AI analysis not implemented yet - screenshot saved for manual review",
-    };
+    if (!analyzer || !screenshotPath) {
+      return {
+        heading: null,
+        menuItems: [],
+        message: analyzer
+          ? `No screenshot of ${site.name} to analyze`
+          : "Screenshot analysis not configured - screenshot saved for manual review",
+      };
+    }
+
+    try {
+      this.logger.info(
+        `Analyzing screenshot of ${site.name} with ${analyzer.name} backend...`
+      );
+      const { heading, items } = await analyzer.analyze(
+        screenshotPath,
+        this.getExtractionRules(site)
+      );
+
+      return {
+        heading,
+        menuItems: items.map((item) => ({
+          ...item,
+          source: `screenshot-${analyzer.name}`,
+        })),
+        message: `Screenshot analysis (${analyzer.name}) found ${items.length} menu items for ${site.name}`,
+      };
+    } catch (error) {
+      return {
+        heading: null,
+        menuItems: [],
+        message: `Screenshot analysis (${analyzer.name}) failed for ${site.name}: ${error.message}`,
+      };
+    }
+  }
+
+  getRetryPolicy(site) {
+    return (
+      site.retry || resolveRetryPolicy({}, this.siteConfig.getGlobalSettings())
+    );
+  }
+
+  async scrapeWithRetries(site) {
+    const policy = this.getRetryPolicy(site);
+    const attempts = [];
+    let result;
+
+    for (let attempt = 1; attempt <= policy.attempts; attempt++) {
+      const startedAt = Date.now();
+      result = await this.scrapeRestaurant(site);
+
+      attempts.push({
+        attempt,
+        success: result.success,
+        error: result.error || null,
+        reason: result.failureReason || null,
+        durationMs: Date.now() - startedAt,
+      });
+
+      if (result.success) break;
+
+      if (attempt < policy.attempts) {
+        const delay = getRetryDelay(policy, attempt);
+        this.logger.warn(
+          `Attempt ${attempt}/${policy.attempts} for ${site.name} failed (${result.failureReason}), retrying in ${delay}ms`
+        );
+        await new Promise((resolve) => setTimeout(resolve, delay));
+      }
+    }
+
+    if (!result.success && attempts.length > 1) {
+      result.error = `failed after ${attempts.length} attempts: ${attempts
+        .map((entry) => entry.reason)
+        .join(", ")}`;
+    }
+
+    return { ...result, attempts };
   }
 
-  async scrapeAllSites() {
-    const sites = this.siteConfig.getEnabledSites();
+  async scrapeAllSites(sites = this.siteConfig.getEnabledSites()) {
     if (sites.length === 0) {
       this.logger.warn("No enabled sites found in configuration");
       return [];
     }
 
     this.logger.info(
-      `Starting to scrape ${sites.length} enabled sites using screenshot-based scraper`
+      `Starting to scrape ${sites.length} enabled sites using screenshot-based scraper (${this.contextPool.size} at a time)`
     );
-    const results = [];
-
-    for (const site of sites) {
-      try {
-        this.logger.info(`Scraping site: ${site.name}`);
-        const siteData = await this.scrapeRestaurant(site);
-
-        const formattedResult = {
-          name: site.name,
-          url: site.url,
-          success: siteData.success,
-          scrapedAt: siteData.scrapedAt,
-          itemCount: siteData.itemCount,
-          menuData: {
-            items: siteData.menuData,
-            totalCount: siteData.itemCount,
-          },
-          screenshotPath: siteData.screenshotPath,
-        };
 
-        if (!siteData.success) {
-          formattedResult.error = siteData.error;
-        }
+    // Every site starts right away and waits for a free browser context, so
+    // a site backing off between retries does not hold up the others.
+    // Promise.all keeps the results in configuration order.
+    return await Promise.all(sites.map((site) => this.scrapeSite(site)));
+  }
 
-        results.push(formattedResult);
-        this.logger.info(
-          `Successfully scraped ${site.name}: ${siteData.itemCount} items`
-        );
-      } catch (error) {
-        this.logger.error(`Failed to scrape ${site.name}:`, error);
-        results.push({
-          name: site.name,
-          url: site.url,
-          error: error.message,
-          success: false,
-          scrapedAt: new Date().toISOString(),
-          itemCount: 0,
-          menuData: {
-            items: [],
-            totalCount: 0,
-          },
-        });
+  async scrapeSite(site) {
+    const startedAt = Date.now();
+
+    try {
+      this.logger.info(`Scraping site: ${site.name}`);
+      const siteData = await this.scrapeWithRetries(site);
+
+      const formattedResult = {
+        id: site.id,
+        name: site.name,
+        url: site.url,
+        success: siteData.success,
+        scrapedAt: siteData.scrapedAt,
+        itemCount: siteData.itemCount,
+        menuData: {
+          items: siteData.menuData,
+          totalCount: siteData.itemCount,
+        },
+        screenshotPath: siteData.screenshotPath,
+        menuScreenshotPath: siteData.menuScreenshotPath || null,
+        mode: siteData.mode,
+        requests: siteData.requests || null,
+        menuDay: siteData.menuDay,
+        freshness: siteData.freshness,
+        duplicatesDropped: siteData.duplicatesDropped || 0,
+        status: siteData.status,
+        closedReason: siteData.closedReason || null,
+        restaurant: siteData.restaurant || { name: site.name },
+        attempts: siteData.attempts,
+        durationMs: Date.now() - startedAt,
+      };
+
+      if (!siteData.success) {
+        formattedResult.error = siteData.error;
       }
-    }
 
-    return results;
+      this.logger.info(
+        `Successfully scraped ${site.name}: ${siteData.itemCount} items`
+      );
+      return formattedResult;
+    } catch (error) {
+      this.logger.error(`Failed to scrape ${site.name}:`, error);
+      return {
+        id: site.id,
+        name: site.name,
+        url: site.url,
+        error: error.message,
+        success: false,
+        scrapedAt: new Date().toISOString(),
+        itemCount: 0,
+        menuData: {
+          items: [],
+          totalCount: 0,
+        },
+        durationMs: Date.now() - startedAt,
+      };
+    }
   }
 }
 
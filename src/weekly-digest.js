@@ -0,0 +1,94 @@
+import { normalizeDishName } from "./menu-items.js";
+import { shiftDay, toMenuDay } from "./menu-date.js";
+import { MENU_STATUS } from "./closures.js";
+
+export const DIGEST_DAY_STATUS = {
+  ...MENU_STATUS,
+  FAILED: "failed",
+};
+
+// What each restaurant served over the `days` up to and including `to`, read
+// from the stored runs. A day uses the last successful result of that day;
+// days on which every attempt failed are reported as failed.
+export async function buildWeeklyDigest(
+  store,
+  { to, days = 7, favouriteMinDays = 2 }
+) {
+  const from = shiftDay(to, -(days - 1));
+  const runs = await store.getRuns({ from, to });
+  const restaurants = new Map();
+
+  for (const run of runs) {
+    for (const result of run.sites) {
+      if (!restaurants.has(result.name)) {
+        restaurants.set(result.name, {
+          name: result.name,
+          url: result.url,
+          days: new Map(),
+          scrapes: 0,
+          successfulScrapes: 0,
+        });
+      }
+
+      const restaurant = restaurants.get(result.name);
+      restaurant.scrapes++;
+      if (result.success) restaurant.successfulScrapes++;
+
+      const previous = restaurant.days.get(run.day);
+      if (result.success || !previous?.success) {
+        restaurant.days.set(run.day, result);
+      }
+    }
+  }
+
+  return {
+    from,
+    to,
+    days,
+    restaurants: [...restaurants.values()].map((restaurant) => {
+      const served = [...restaurant.days.entries()].map(([day, result]) => ({
+        ...toMenuDay(day),
+        status: result.success
+          ? result.status ||
+            (result.menuData?.items?.length > 0
+              ? MENU_STATUS.AVAILABLE
+              : MENU_STATUS.NO_MENU)
+          : DIGEST_DAY_STATUS.FAILED,
+        dishes: (result.menuData?.items || []).map((item) => item.name),
+        closedReason: result.closedReason || null,
+        error: result.success ? null : result.error || null,
+      }));
+
+      const dishDays = new Map();
+      for (const day of served) {
+        for (const name of day.dishes) {
+          const dish = normalizeDishName(name);
+          const entry = dishDays.get(dish) || { name, days: new Set() };
+          entry.days.add(day.date);
+          dishDays.set(dish, entry);
+        }
+      }
+
+      return {
+        name: restaurant.name,
+        url: restaurant.url,
+        days: served,
+        favourites: [...dishDays.values()]
+          .filter((entry) => entry.days.size >= favouriteMinDays)
+          .map((entry) => ({ name: entry.name, days: entry.days.size }))
+          .sort((a, b) => b.days - a.days),
+        noMenuDays: served
+          .filter((day) => day.status !== MENU_STATUS.AVAILABLE)
+          .map((day) => day.date),
+        reliability: {
+          scrapes: restaurant.scrapes,
+          successful: restaurant.successfulScrapes,
+          rate:
+            restaurant.scrapes > 0
+              ? restaurant.successfulScrapes / restaurant.scrapes
+              : null,
+        },
+      };
+    }),
+  };
+}
@@ -0,0 +1,38 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { formatAllergens, parseAllergens } from "../src/allergens.js";
+import { resolveExtractionRules } from "../src/extraction-rules.js";
+
+const { allergenPattern } = resolveExtractionRules();
+
+function codes(text) {
+  return parseAllergens(text, allergenPattern).map((allergen) => allergen.code);
+}
+
+test("reads allergen codes in parentheses or after a label", () => {
+  assert.deepEqual(parseAllergens("Guláš (1, 3, 7)", allergenPattern), [
+    { code: 1, key: "gluten" },
+    { code: 3, key: "eggs" },
+    { code: 7, key: "milk" },
+  ]);
+  assert.deepEqual(codes("Polievka alergény: 1,9"), [1, 9]);
+  assert.deepEqual(codes("Syr (1,7) a (7,12)"), [1, 7, 12]);
+});
+
+test("drops sub-letters and codes that are not EU allergens", () => {
+  assert.deepEqual(codes("Rezeň A: 1a,3,7,15"), [1, 3, 7]);
+  assert.deepEqual(codes("Kofola bez alergénov"), []);
+  assert.deepEqual(codes("Menu (2): Kurací rezeň (2 ks)"), []);
+  assert.deepEqual(codes("Guláš (7)"), []);
+  assert.deepEqual(codes("Guláš (1a)"), [1]);
+  assert.deepEqual(codes("Guláš A: 7"), [7]);
+  assert.deepEqual(parseAllergens("Guláš (1, 3)", null), []);
+});
+
+test("formats allergens as a code list", () => {
+  assert.equal(
+    formatAllergens(parseAllergens("(7,1)", allergenPattern)),
+    "A: 1,7"
+  );
+  assert.equal(formatAllergens([]), "");
+});
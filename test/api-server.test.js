@@ -0,0 +1,154 @@
+import { test, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import net from "net";
+import { ApiServer } from "../src/api-server.js";
+import { MenuStore } from "../src/menu-store.js";
+import { siteResult, useTempDir } from "./helpers.js";
+
+const TOKEN = "secret-token";
+
+const tempDir = useTempDir("bistro-api-");
+let scheduler;
+let server;
+let baseUrl;
+
+beforeEach(async () => {
+  scheduler = {
+    config: {
+      timezone: "Europe/Bratislava",
+      sitesConfig: {
+        sites: [
+          {
+            id: "brgr",
+            name: "Brgr",
+            url: "https://www.bistro.sk/restauracia/brgr",
+            enabled: true,
+            mode: "browser",
+            updates: "diff",
+          },
+        ],
+      },
+    },
+    store: new MenuStore({
+      storePath: tempDir.path,
+      timezone: "Europe/Bratislava",
+    }),
+    isJobRunning: false,
+    triggers: [],
+    getStatus: () => ({ isRunning: true, isJobRunning: false, nextRun: null }),
+    getLastRun: async () => null,
+    async runScrapingJob(trigger, options) {
+      this.triggers.push({ trigger, ...options });
+    },
+  };
+
+  server = new ApiServer(scheduler, { port: 0, token: TOKEN });
+  await server.start();
+  baseUrl = `http://127.0.0.1:${server.server.address().port}`;
+});
+
+afterEach(async () => {
+  await server.stop();
+});
+
+function request(pathname, { method = "GET", token = TOKEN } = {}) {
+  return fetch(`${baseUrl}${pathname}`, {
+    method,
+    headers: token ? { Authorization: `Bearer ${token}` } : {},
+  });
+}
+
+test("requires the token everywhere but on /health", async () => {
+  assert.equal((await request("/health", { token: null })).status, 200);
+  assert.equal((await request("/sites", { token: null })).status, 401);
+  assert.equal((await request("/sites", { token: "wrong" })).status, 401);
+
+  const response = await request("/sites");
+  assert.equal(response.status, 200);
+  assert.deepEqual(
+    (await response.json()).map((site) => site.id),
+    ["brgr"]
+  );
+});
+
+test("serves today's menus and stored runs", async () => {
+  const run = await scheduler.store.recordRun(
+    [siteResult("Brgr", [{ id: "a1", name: "Burger", available: true }])],
+    { trigger: "schedule" }
+  );
+
+  const menus = await (await request("/menus/today")).json();
+  assert.equal(menus.schemaVersion, 1);
+  assert.deepEqual(
+    menus.restaurants.map((restaurant) => [
+      restaurant.id,
+      restaurant.items.map((item) => item.name),
+    ]),
+    [["brgr", ["Burger"]]]
+  );
+
+  const runs = await (await request("/runs")).json();
+  assert.deepEqual(
+    runs.map(({ id, totalMenuItems }) => [id, totalMenuItems]),
+    [[run.id, 1]]
+  );
+
+  const stored = await (await request(`/runs/${run.id}`)).json();
+  assert.equal(stored.sites[0].name, "Brgr");
+  assert.equal((await request("/runs/unknown")).status, 404);
+});
+
+test("triggers a scrape unless one is running", async () => {
+  const response = await request("/runs", { method: "POST" });
+  assert.equal(response.status, 202);
+  const { runId } = await response.json();
+  assert.match(runId, /^[\w-]{36}$/);
+  assert.deepEqual(scheduler.triggers, [{ trigger: "api", runId }]);
+
+  scheduler.isJobRunning = true;
+  assert.equal((await request("/runs", { method: "POST" })).status, 409);
+  assert.equal((await request("/runs", { method: "DELETE" })).status, 405);
+  assert.equal((await request("/nowhere")).status, 404);
+});
+
+test("logs a triggered run that fails", async (t) => {
+  const error = new Error("Browser crashed");
+  const logged = t.mock.method(server.logger, "error", () => {});
+  scheduler.runScrapingJob = async () => {
+    throw error;
+  };
+
+  const response = await request("/runs", { method: "POST" });
+  assert.equal(response.status, 202);
+  const { runId } = await response.json();
+
+  await new Promise((resolve) => setImmediate(resolve));
+  assert.deepEqual(logged.mock.calls[0].arguments, [
+    `Run ${runId} started through the API failed:`,
+    error,
+  ]);
+});
+
+test("refuses to start without a token", () => {
+  assert.throws(
+    () => new ApiServer(scheduler, { port: 0, token: null }),
+    /API_TOKEN/
+  );
+});
+
+test("answers a request-target that does not parse with 400", async () => {
+  const { port } = server.server.address();
+  const reply = await new Promise((resolve, reject) => {
+    const socket = net.connect(port, "127.0.0.1", () => {
+      socket.end("GET http://[ HTTP/1.1\r\nHost: localhost\r\n\r\n");
+    });
+    let data = "";
+    socket.on("data", (chunk) => (data += chunk));
+    socket.on("end", () => resolve(data));
+    socket.on("error", reject);
+  });
+
+  assert.match(reply, /^HTTP\/1\.1 400 /);
+  assert.match(reply, /Invalid request target/);
+  assert.equal((await request("/health", { token: null })).status, 200);
+});
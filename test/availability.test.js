@@ -0,0 +1,64 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  findNewlySoldOut,
+  resolveSoldOutDisplay,
+} from "../src/availability.js";
+
+function siteResult(name, items, success = true) {
+  return {
+    name,
+    url: `https://www.bistro.sk/restauracia/${name.toLowerCase()}`,
+    success,
+    menuData: { items, totalCount: items.length },
+  };
+}
+
+function dish(id, available = true) {
+  return { id, name: id, available };
+}
+
+test("reports items that sold out since the last run", () => {
+  const previous = [siteResult("Brgr", [dish("burger"), dish("syr", false)])];
+  const current = [
+    siteResult("Brgr", [
+      dish("burger", false),
+      dish("syr", false),
+      dish("rezen", false),
+      dish("wrap"),
+    ]),
+  ];
+
+  assert.deepEqual(findNewlySoldOut(previous, current), [
+    {
+      name: "Brgr",
+      url: "https://www.bistro.sk/restauracia/brgr",
+      items: [dish("burger", false), dish("rezen", false)],
+    },
+  ]);
+});
+
+test("counts every sold-out item without a previous run", () => {
+  const current = [
+    siteResult("Brgr", [dish("burger", false), dish("wrap")]),
+    siteResult("Pub", [dish("guláš")]),
+    siteResult("Bistro", [dish("pho", false)], false),
+  ];
+
+  assert.deepEqual(
+    findNewlySoldOut(undefined, current).map(({ name, items }) => [
+      name,
+      items.map((item) => item.id),
+    ]),
+    [["Brgr", ["burger"]]]
+  );
+});
+
+test("validates the sold-out display", () => {
+  assert.equal(resolveSoldOutDisplay({}), "strike");
+  assert.equal(resolveSoldOutDisplay({ soldOut: "hide" }), "hide");
+  assert.throws(
+    () => resolveSoldOutDisplay({ soldOut: "grey" }),
+    /Invalid soldOut "grey"/
+  );
+});
@@ -0,0 +1,59 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { detectClosure } from "../src/closures.js";
+import { resolveExtractionRules } from "../src/extraction-rules.js";
+
+const rules = resolveExtractionRules();
+const monday = { date: "2026-10-19", weekday: 1 };
+
+function detect(text, today = monday, selectorTexts = []) {
+  return detectClosure({ text, selectorTexts }, rules, today);
+}
+
+test("reports a closed notice with its line", () => {
+  assert.deepEqual(
+    detect("Môj BRGR\nDnes máme zatvorené, tešíme sa zajtra!\nMenu"),
+    { source: "notice", reason: "Dnes máme zatvorené, tešíme sa zajtra!" }
+  );
+  assert.equal(detect("Môj BRGR\nDenné menu pondelok\nGuláš 6,90 €"), null);
+});
+
+test("reports an announced holiday only while it lasts", () => {
+  const notice = "Celozávodná dovolenka od 22.12. do 6.1.";
+
+  assert.equal(detect(notice), null);
+  assert.equal(
+    detect(notice, { date: "2026-12-28", weekday: 1 })?.reason,
+    notice
+  );
+  assert.equal(
+    detect(notice, { date: "2027-01-06", weekday: 3 })?.source,
+    "notice"
+  );
+  assert.equal(detect(notice, { date: "2027-01-07", weekday: 4 }), null);
+  assert.equal(
+    detect("Zatvorené 19.10. - 23.10. z dôvodu sviatku")?.source,
+    "notice"
+  );
+  assert.equal(detect("Počas štátneho sviatku 1.11. - 1.11."), null);
+});
+
+test("reads days marked closed in the opening hours", () => {
+  const hours = "Otváracie hodiny\nUt - Pi: 11:00 - 22:00\nSo - Po: zatvorené";
+
+  assert.equal(detect(hours).source, "opening-hours");
+  assert.match(detect(hours).reason, /^Closed on pondelok/);
+  assert.equal(detect(hours, { date: "2026-10-20", weekday: 2 }), null);
+  assert.equal(detect("Pondelok: zatvorené").source, "opening-hours");
+});
+
+test("prefers elements matching closedSelectors", () => {
+  assert.deepEqual(detect("Denné menu", monday, ["", "Prevádzka zatvorená"]), {
+    source: "selector",
+    reason: "Prevádzka zatvorená",
+  });
+  assert.equal(
+    detect("Denné menu", monday, [""]).reason,
+    "Closed notice on the page"
+  );
+});
@@ -0,0 +1,72 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { ContextPool } from "../src/context-pool.js";
+
+function fakeContexts() {
+  const contexts = [];
+  const create = async () => {
+    const context = { id: contexts.length, closed: false };
+    context.close = async () => {
+      context.closed = true;
+    };
+    contexts.push(context);
+    return context;
+  };
+  return { contexts, create };
+}
+
+test("runs at most `size` tasks at once, each in a fresh context", async () => {
+  const { contexts, create } = fakeContexts();
+  const pool = new ContextPool(create, 2);
+  let running = 0;
+  let mostRunning = 0;
+
+  const results = await Promise.all(
+    [1, 2, 3, 4, 5].map((value) =>
+      pool.withContext(async (context) => {
+        running++;
+        mostRunning = Math.max(mostRunning, running);
+        await new Promise((resolve) => setTimeout(resolve, 5));
+        running--;
+        return [value, context.id];
+      })
+    )
+  );
+
+  assert.equal(mostRunning, 2);
+  assert.deepEqual(
+    results.map(([value]) => value),
+    [1, 2, 3, 4, 5]
+  );
+  assert.equal(new Set(results.map(([, id]) => id)).size, 5);
+  assert.ok(contexts.every((context) => context.closed));
+  assert.equal(pool.active, 0);
+});
+
+test("closes the context and frees the slot when a task fails", async () => {
+  const { contexts, create } = fakeContexts();
+  const pool = new ContextPool(create, 1);
+
+  await assert.rejects(
+    pool.withContext(async () => {
+      throw new Error("Page crashed");
+    }),
+    /Page crashed/
+  );
+  assert.equal(contexts[0].closed, true);
+  assert.equal(await pool.withContext(async () => "next"), "next");
+  assert.equal(pool.active, 0);
+});
+
+test("frees the slot when a context cannot be created", async () => {
+  const pool = new ContextPool(async () => {
+    throw new Error("Browser closed");
+  }, "abc");
+
+  assert.equal(pool.size, 1);
+  await assert.rejects(
+    pool.withContext(async () => {}),
+    /Browser closed/
+  );
+  assert.equal(pool.active, 0);
+});
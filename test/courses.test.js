@@ -0,0 +1,67 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  classifyCourse,
+  formatItemLabel,
+  parseMenuNumber,
+} from "../src/courses.js";
+import { resolveExtractionRules } from "../src/extraction-rules.js";
+
+const rules = resolveExtractionRules();
+
+test("classifies items by their course keywords", () => {
+  assert.equal(classifyCourse("Polievka: Hovädzí vývar", rules), "soup");
+  assert.equal(classifyCourse("Paradajkový krém", rules), "soup");
+  assert.equal(classifyCourse("Príloha: ryža", rules), "side");
+  assert.equal(classifyCourse("Hranolky 150g", rules), "side");
+  assert.equal(classifyCourse("Palacinky s džemom", rules), "dessert");
+  assert.equal(classifyCourse("Kofola 0,5l", rules), "drink");
+  assert.equal(classifyCourse("Káva espresso", rules), "drink");
+});
+
+test("does not take dish names containing a course keyword for drinks or sides", () => {
+  assert.equal(classifyCourse("Pivovarský guláš, knedľa", rules), "main");
+  assert.equal(classifyCourse("Čapované pivo 0,5l", rules), "drink");
+  assert.equal(classifyCourse("Domáca limonáda", rules), "drink");
+  assert.equal(classifyCourse("Šalát Caesar s kuracím mäsom", rules), "main");
+  assert.equal(classifyCourse("Uhorkový šalát 150g", rules), "side");
+  assert.equal(classifyCourse("Šalát", rules), "side");
+});
+
+test("lets a leading menu prefix win and falls back to the default", () => {
+  assert.equal(
+    classifyCourse("Menu 2: Šošovicová polievka s párkom", rules),
+    "main"
+  );
+  assert.equal(classifyCourse("Čajová ruža", rules), "main");
+  assert.equal(
+    classifyCourse("Kurací rezeň", { ...rules, defaultCourse: "side" }),
+    "side"
+  );
+});
+
+test("reads the menu number from the prefix", () => {
+  assert.equal(parseMenuNumber("Menu 2: Šošovicová polievka", rules), 2);
+  assert.equal(parseMenuNumber("Menu č. 3: Kurací rezeň", rules), 3);
+  assert.equal(parseMenuNumber("Polievka 1: Vývar", rules), 1);
+  assert.equal(parseMenuNumber("Kurací rezeň 2 ks", rules), null);
+  assert.equal(
+    parseMenuNumber("Menu 2: Rezeň", { ...rules, menuNumberPattern: null }),
+    null
+  );
+});
+
+test("labels numbered items with their course", () => {
+  assert.equal(
+    formatItemLabel({ name: "Kurací rezeň", course: "main", menuNumber: 2 }),
+    "Menu 2: Kurací rezeň"
+  );
+  assert.equal(
+    formatItemLabel({ name: "Vývar", course: "soup", menuNumber: 1 }),
+    "Polievka 1: Vývar"
+  );
+  assert.equal(
+    formatItemLabel({ name: "Kofola", course: "drink", menuNumber: null }),
+    "Kofola"
+  );
+});
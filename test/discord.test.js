@@ -0,0 +1,100 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import path from "path";
+import axios from "axios";
+import { DiscordNotifier } from "../src/discord.js";
+import { useTempDir } from "./helpers.js";
+
+const tempDir = useTempDir("bistro-discord-");
+const webhookUrl = "https://discord.com/api/webhooks/0/discord-tests";
+
+const message = (files) => ({
+  embeds: [
+    {
+      title: "🍔 Môj BRGR - daily menu",
+      image: { url: "attachment://daily-menu.png" },
+    },
+  ],
+  files,
+});
+
+test("uploads attachments as multipart with the payload as JSON", async (t) => {
+  const post = t.mock.method(axios, "post", async () => ({ status: 204 }));
+  const screenshot = path.join(tempDir.path, "moj-brgr-menu.png");
+  fs.writeFileSync(screenshot, "png");
+
+  await new DiscordNotifier(webhookUrl).sendMessage(
+    message([{ name: "daily-menu.png", path: screenshot }])
+  );
+
+  const [url, form, options] = post.mock.calls[0].arguments;
+  assert.equal(url, webhookUrl);
+  assert.ok(form instanceof FormData);
+  assert.deepEqual(options, { timeout: 30000 });
+  assert.deepEqual(JSON.parse(form.get("payload_json")), {
+    embeds: [
+      {
+        title: "🍔 Môj BRGR - daily menu",
+        image: { url: "attachment://daily-menu.png" },
+      },
+    ],
+    attachments: [{ id: 0, filename: "daily-menu.png" }],
+  });
+
+  const file = form.get("files[0]");
+  assert.equal(file.name, "daily-menu.png");
+  assert.equal(file.type, "image/png");
+  assert.equal(await file.text(), "png");
+});
+
+test("posts plain JSON without the embed image when a file is missing", async (t) => {
+  const post = t.mock.method(axios, "post", async () => ({ status: 204 }));
+  const notifier = new DiscordNotifier(webhookUrl);
+  const warn = t.mock.method(notifier.logger, "warn", () => {});
+
+  await notifier.sendMessage(
+    message([
+      {
+        name: "daily-menu.png",
+        path: path.join(tempDir.path, "missing.png"),
+      },
+    ])
+  );
+
+  const [, payload, options] = post.mock.calls[0].arguments;
+  assert.deepEqual(payload, {
+    embeds: [{ title: "🍔 Môj BRGR - daily menu" }],
+  });
+  assert.equal(options.headers["Content-Type"], "application/json");
+  assert.match(
+    warn.mock.calls[0].arguments[0],
+    /^Sending without attachment daily-menu.png/
+  );
+});
+
+test("keeps embed images that are not attachments", async (t) => {
+  const post = t.mock.method(axios, "post", async () => ({ status: 204 }));
+  const image = { url: "https://www.bistro.sk/logo.png" };
+
+  await new DiscordNotifier(webhookUrl).sendMessage({
+    embeds: [{ title: "Môj BRGR", image }],
+  });
+
+  assert.deepEqual(post.mock.calls[0].arguments[1].embeds, [
+    { title: "Môj BRGR", image },
+  ]);
+});
+
+test("reports the Discord error of a rejected upload", async (t) => {
+  t.mock.method(axios, "post", async () => {
+    throw Object.assign(new Error("Request failed"), {
+      response: { status: 400, data: { message: "Invalid Form Body" } },
+    });
+  });
+
+  await assert.rejects(
+    new DiscordNotifier(webhookUrl).sendMessage({ embeds: [] }),
+    /Discord API error: 400 - Invalid Form Body/
+  );
+});
@@ -0,0 +1,306 @@
+import { test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { siteResult } from "./helpers.js";
+
+process.env.DISCORD_WEBHOOK_URL ||= "https://discord.com/api/webhooks/1/test";
+const { MenuFormatter } = await import("../src/formatter.js");
+
+let formatter;
+
+beforeEach(() => {
+  formatter = new MenuFormatter();
+  formatter.formattingConfig = {
+    emojis: { default: "🏪", "Môj BRGR": "🍔" },
+    colors: { default: "0x3498db", "Môj BRGR": "0xe67e22" },
+    soldOut: "strike",
+    restaurantInfo: { "Môj BRGR": "footer" },
+  };
+});
+
+const eur = (amount) => ({ amount, currency: "EUR" });
+
+const items = [
+  {
+    name: "Kurací rezeň",
+    course: "main",
+    menuNumber: 2,
+    price: eur(850),
+    portion: { amount: 150, unit: "g" },
+    allergens: [
+      { code: 1, key: "gluten" },
+      { code: 3, key: "eggs" },
+    ],
+    available: true,
+  },
+  {
+    name: "Gulášová polievka",
+    course: "soup",
+    menuNumber: 1,
+    price: eur(150),
+    available: true,
+  },
+  {
+    name: "Vyprážaný syr",
+    course: "main",
+    menuNumber: 1,
+    price: eur(790),
+    available: false,
+  },
+];
+
+function embedOf(message) {
+  assert.equal(message.embeds.length, 1);
+  return message.embeds[0];
+}
+
+test("groups a menu by course with price, portion and allergen lines", () => {
+  const [message, ...rest] = formatter.formatSiteMenu(
+    siteResult("Môj BRGR", items, {
+      restaurant: { name: "Môj BRGR", deliveryTime: { min: 30, max: 45 } },
+    })
+  );
+  const embed = embedOf(message);
+
+  assert.equal(rest.length, 0);
+  assert.equal(embed.title, "🍔 Môj BRGR - daily menu");
+  assert.equal(embed.description, "2 items available, 1 sold out");
+  assert.equal(embed.color, 0xe67e22);
+  assert.deepEqual(
+    embed.fields.map((field) => field.name),
+    ["🥣 Soups", "🍽️ Mains"]
+  );
+  assert.equal(
+    embed.fields[1].value,
+    "~~**Menu 1: Vyprážaný syr**~~ · sold out\n7,90 €\n\n" +
+      "**Menu 2: Kurací rezeň**\n8,50 € · 150 g · A: 1,3\n\n"
+  );
+  assert.match(embed.footer.text, /^Updated at .+ · 🛵 30–45 min$/);
+});
+
+test("leaves sold-out items out when configured to hide them", () => {
+  formatter.formattingConfig.soldOut = "hide";
+  const embed = embedOf(
+    formatter.formatSiteMenu(siteResult("Môj BRGR", items))[0]
+  );
+
+  assert.equal(embed.description, "2 items available, 1 sold out (not listed)");
+  assert.ok(!embed.fields[1].value.includes("Vyprážaný syr"));
+});
+
+test("attaches the menu screenshot to the first message", () => {
+  const [message] = formatter.formatSiteMenu(
+    siteResult("Môj BRGR", items, {
+      menuScreenshotPath: "./screenshots/moj-brgr-menu.png",
+    })
+  );
+
+  assert.deepEqual(message.embeds[0].image, {
+    url: "attachment://daily-menu.png",
+  });
+  assert.deepEqual(message.files, [
+    { name: "daily-menu.png", path: "./screenshots/moj-brgr-menu.png" },
+  ]);
+});
+
+test("posts closed, stale and missing menus as their own embeds", () => {
+  const closed = embedOf(
+    formatter.formatSiteMenu(
+      siteResult("Centrál Pub", [], {
+        status: "closed",
+        closedReason: "Dovolenka do 23.10.",
+      })
+    )[0]
+  );
+  assert.equal(closed.title, "🔒 🏪 Centrál Pub - closed today");
+  assert.equal(closed.description, "Dovolenka do 23.10.");
+  assert.equal(closed.color, 0x95a5a6);
+
+  const stale = embedOf(
+    formatter.formatSiteMenu(
+      siteResult("Môj BRGR", items, {
+        freshness: "stale",
+        menuDay: { heading: "Denné menu piatok", weekday: 5, date: null },
+      })
+    )[0]
+  );
+  assert.equal(stale.title, "⚠️ 🍔 Môj BRGR - outdated daily menu");
+  assert.equal(
+    stale.description,
+    "This menu is for piatok, not today. The restaurant has not updated it yet."
+  );
+  assert.equal(stale.color, 0xff9500);
+
+  const missing = embedOf(
+    formatter.formatSiteMenu(siteResult("Centrál Pub", []))[0]
+  );
+  assert.equal(missing.title, "🏪 Centrál Pub - daily menu");
+  assert.match(missing.description, /^No daily menu available today/);
+});
+
+test("splits long menus into several messages", () => {
+  const many = Array.from({ length: 30 }, (_, index) => ({
+    name: `Jedlo číslo ${index + 1} s dlhším popisom na riadku`,
+    course: ["soup", "main", "side", "dessert", "drink"][index % 5],
+    price: eur(500 + index),
+    available: true,
+  }));
+  const messages = formatter.formatSiteMenu(siteResult("Môj BRGR", many));
+
+  assert.ok(messages.length > 1);
+  for (const message of messages) {
+    const length = message.embeds[0].fields.reduce(
+      (sum, field) => sum + field.value.length,
+      0
+    );
+    assert.ok(length <= 1500);
+  }
+});
+
+test("lists only the sections of a menu diff that changed", () => {
+  const embed = embedOf(
+    formatter.formatMenuDiff(
+      siteResult("Môj BRGR", items, {
+        diff: {
+          added: [items[0]],
+          removed: [{ name: "Pho bo" }],
+          priceChanged: [{ item: items[1], previousPrice: eur(120) }],
+          soldOut: [items[2]],
+          backInStock: [],
+        },
+      })
+    )
+  );
+
+  assert.equal(embed.title, "✏️ 🍔 Môj BRGR - menu updated");
+  assert.deepEqual(
+    embed.fields.map(({ name, value }) => [name, value]),
+    [
+      ["➕ Added", "**Menu 2: Kurací rezeň**\n8,50 € · 150 g · A: 1,3"],
+      ["➖ Removed", "• ~~Pho bo~~"],
+      ["💶 Price changed", "• Gulášová polievka: 1,20 € → 1,50 €"],
+      ["🚫 Sold out", "• Vyprážaný syr"],
+    ]
+  );
+});
+
+test("lists items sold out since the menu was posted", () => {
+  const embed = embedOf(
+    formatter.formatSoldOutUpdate([
+      {
+        name: "Môj BRGR",
+        url: "https://www.bistro.sk/restauracia/moj-brgr",
+        items: [items[2]],
+      },
+    ])
+  );
+
+  assert.equal(embed.title, "🚫 Sold out since the menu was posted");
+  assert.deepEqual(embed.fields, [
+    {
+      name: "🍔 Môj BRGR",
+      value:
+        "~~Vyprážaný syr~~\n[Menu](https://www.bistro.sk/restauracia/moj-brgr)",
+      inline: false,
+    },
+  ]);
+});
+
+test("reports average prices, changes and the cheapest options", () => {
+  const embed = embedOf(
+    formatter.formatPriceReport({
+      from: "2026-10-13",
+      to: "2026-10-19",
+      restaurants: [{ site: "Môj BRGR", average: 850, previousAverage: 800 }],
+      increases: [
+        {
+          site: "Môj BRGR",
+          name: "Kurací rezeň",
+          previous: eur(800),
+          current: eur(850),
+        },
+      ],
+      decreases: [],
+      cheapest: [
+        { site: "Môj BRGR", name: "Gulášová polievka", price: eur(150) },
+      ],
+    })
+  );
+
+  assert.equal(
+    embed.description,
+    "Daily menu prices from 2026-10-13 to 2026-10-19"
+  );
+  assert.deepEqual(
+    embed.fields.map(({ name, value }) => [name, value]),
+    [
+      ["Average main course", "🍔 Môj BRGR: 8,50 € (+0,50 €)"],
+      ["📈 Price increases", "Môj BRGR: Kurací rezeň 8,00 € → 8,50 €"],
+      ["📉 Price decreases", "None"],
+      ["🏷️ Cheapest options", "1,50 € Gulášová polievka (Môj BRGR)"],
+    ]
+  );
+});
+
+test("posts a weekly digest per restaurant within the field limit", () => {
+  const dishes = Array.from(
+    { length: 60 },
+    (_, index) => `Jedlo dňa číslo ${index + 1}`
+  );
+  const messages = formatter.formatWeeklyDigest({
+    from: "2026-10-13",
+    to: "2026-10-19",
+    restaurants: [
+      {
+        name: "Môj BRGR",
+        url: "https://www.bistro.sk/restauracia/moj-brgr",
+        days: [
+          { date: "2026-10-13", weekday: 2, status: "available", dishes },
+          {
+            date: "2026-10-14",
+            weekday: 3,
+            status: "closed",
+            closedReason: "Dovolenka",
+          },
+          { date: "2026-10-15", weekday: 4, status: "failed", error: "403" },
+          { date: "2026-10-16", weekday: 5, status: "no-menu" },
+        ],
+        noMenuDays: ["2026-10-14", "2026-10-15", "2026-10-16"],
+        favourites: [{ name: "Kurací burger", days: 3 }],
+        reliability: { successful: 3, scrapes: 4, rate: 0.75 },
+      },
+    ],
+  });
+  const embed = embedOf(messages[0]);
+
+  assert.equal(messages.length, 1);
+  assert.equal(embed.title, "📅 🍔 Môj BRGR - week of 13.10.–19.10.");
+  assert.equal(embed.description, "1/4 days with a menu");
+  assert.deepEqual(
+    embed.fields.slice(1).map(({ name, value }) => [name, value]),
+    [
+      ["streda 14.10.", "🔒 Closed: Dovolenka"],
+      ["štvrtok 15.10.", "🔴 Scrape failed: 403"],
+      ["piatok 16.10.", "🟠 No daily menu"],
+      ["⭐ Recurring favourites", "• Kurací burger (3 days)"],
+      ["📊 Reliability", "3/4 scrapes succeeded (75%)"],
+    ]
+  );
+
+  const week = embed.fields[0];
+  assert.equal(week.name, "utorok 13.10.");
+  assert.ok(week.value.length <= 600);
+  assert.match(week.value, /^• Jedlo dňa číslo 1\n/);
+  assert.match(week.value, /\n…and \d+ more$/);
+});
+
+test("says so when no menus were stored for the week", () => {
+  const digest = formatter.formatWeeklyDigest({
+    from: "2026-10-13",
+    to: "2026-10-19",
+    restaurants: [],
+  });
+  assert.equal(
+    embedOf(digest[0]).description,
+    "No menus were stored for 13.10.–19.10."
+  );
+});
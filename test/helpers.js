@@ -0,0 +1,41 @@
+import { after, afterEach, before, beforeEach } from "node:test";
+import fs from "fs";
+import os from "os";
+import path from "path";
+
+// A scraped result as the scraper returns it; the id and url follow the name
+export function siteResult(name, items, overrides = {}) {
+  const id = name
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-");
+
+  return {
+    id,
+    name,
+    url: `https://www.bistro.sk/restauracia/${id}`,
+    success: true,
+    status: items.length > 0 ? "available" : "no-menu",
+    freshness: "current",
+    scrapedAt: "2026-10-19T09:30:00.000Z",
+    menuData: { items, totalCount: items.length },
+    ...overrides,
+  };
+}
+
+// A fresh temporary directory for every test, at `tempDir.path`. With
+// `shared`, one directory serves the whole file; call it before any `before`
+// hook that fills it.
+export function useTempDir(prefix, { shared = false } = {}) {
+  const tempDir = { path: null };
+
+  (shared ? before : beforeEach)(() => {
+    tempDir.path = fs.mkdtempSync(path.join(os.tmpdir(), prefix));
+  });
+  (shared ? after : afterEach)(() => {
+    fs.rmSync(tempDir.path, { recursive: true, force: true });
+  });
+
+  return tempDir;
+}
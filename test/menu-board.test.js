@@ -0,0 +1,107 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { MenuBoard, resolveBoardSettings } from "../src/menu-board.js";
+import { siteResult } from "./helpers.js";
+
+const formatting = {
+  emojis: { default: "🏪", "Môj BRGR": "🍔" },
+  colors: { default: "0x3498db", "Môj BRGR": "0xe67e22" },
+  soldOut: "strike",
+};
+
+const items = [
+  {
+    name: "Burger <Classic>",
+    course: "main",
+    menuNumber: 2,
+    price: { amount: 890, currency: "EUR" },
+    allergens: [{ code: 1 }, { code: 7 }],
+    available: true,
+  },
+  {
+    name: "Gulášová polievka",
+    course: "soup",
+    price: { amount: 150, currency: "EUR" },
+    available: true,
+  },
+  {
+    name: "Vyprážaný syr",
+    course: "main",
+    menuNumber: 1,
+    available: false,
+  },
+];
+
+test("renders a card per restaurant in its emoji and color", () => {
+  const html = new MenuBoard(formatting).render(
+    [
+      siteResult("Môj BRGR", items),
+      siteResult("Centrál Pub", [], {
+        status: "closed",
+        closedReason: "Dovolenka",
+      }),
+    ],
+    {
+      day: "2026-10-19",
+      thumbnails: { "Môj BRGR": "data:image/png;base64,AA" },
+    }
+  );
+
+  assert.ok(html.includes('<meta http-equiv="refresh" content="300">'));
+  assert.ok(html.includes("Daily menus · pondelok 19.10."));
+  assert.ok(html.includes("border-top-color: #e67e22"));
+  assert.ok(html.includes("🍔 Môj BRGR"));
+  assert.ok(
+    html.includes('<img class="thumbnail" src="data:image/png;base64,AA"')
+  );
+  assert.ok(html.includes("🏪 Centrál Pub"));
+  assert.ok(html.includes('<span class="badge closed">Closed today</span>'));
+  assert.ok(html.includes("Dovolenka"));
+
+  assert.ok(html.includes("Menu 2: Burger &lt;Classic&gt;"));
+  assert.ok(html.includes("8,90 € · A: 1,7"));
+  assert.ok(
+    html.includes(
+      '<li class="sold-out"><span class="dish">Menu 1: Vyprážaný syr'
+    )
+  );
+
+  const soups = html.indexOf("🥣 Soups");
+  const mains = html.indexOf("🍽️ Mains");
+  assert.ok(soups !== -1 && soups < mains);
+  assert.ok(html.indexOf("Menu 1:") < html.indexOf("Menu 2:"));
+});
+
+test("marks stale menus and hides sold-out items when configured", () => {
+  const html = new MenuBoard(
+    { ...formatting, soldOut: "hide" },
+    { refreshMinutes: 0 }
+  ).render(
+    [
+      siteResult("Môj BRGR", items, {
+        freshness: "stale",
+        menuDay: { date: "2026-10-16", weekday: 5 },
+      }),
+    ],
+    { day: "2026-10-19" }
+  );
+
+  assert.ok(!html.includes("http-equiv"));
+  assert.ok(
+    html.includes('<span class="badge stale">Menu from piatok 16.10.</span>')
+  );
+  assert.ok(!html.includes("Vyprážaný syr"));
+});
+
+test("validates the board settings", () => {
+  assert.equal(resolveBoardSettings(undefined), null);
+  assert.equal(
+    resolveBoardSettings({ path: "./public/index.html" }).refreshMinutes,
+    5
+  );
+  assert.throws(() => resolveBoardSettings({}), /board.path/);
+  assert.throws(
+    () => resolveBoardSettings({ path: "board.html", theme: "dark" }),
+    /Unknown board setting: theme/
+  );
+});
@@ -0,0 +1,57 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { resolveExtractionRules } from "../src/extraction-rules.js";
+import {
+  getMenuFreshness,
+  getZonedDay,
+  MENU_FRESHNESS,
+  parseMenuDay,
+  toMenuDay,
+} from "../src/menu-date.js";
+
+const { menuDayPattern } = resolveExtractionRules();
+const monday = { date: "2026-10-19", year: 2026, weekday: 1 };
+
+function freshness(heading, today = monday) {
+  return getMenuFreshness(parseMenuDay(heading, menuDayPattern, today), today);
+}
+
+test("reads the weekday and date from a menu heading", () => {
+  assert.deepEqual(
+    parseMenuDay("Denné menu pondelok", menuDayPattern, monday),
+    {
+      heading: "Denné menu pondelok",
+      weekday: 1,
+      date: null,
+    }
+  );
+  assert.deepEqual(
+    parseMenuDay("Denné menu štvrtok 15.10.", menuDayPattern, monday),
+    { heading: "Denné menu štvrtok 15.10.", weekday: 4, date: "2026-10-15" }
+  );
+  assert.equal(
+    parseMenuDay("Daily menu 2.1.2027", menuDayPattern, monday).date,
+    "2027-01-02"
+  );
+  assert.equal(parseMenuDay("Denné menu", menuDayPattern, monday), null);
+  assert.equal(parseMenuDay(null, menuDayPattern, monday), null);
+});
+
+test("compares the menu day with today", () => {
+  assert.equal(freshness("Denné menu pondelok"), MENU_FRESHNESS.CURRENT);
+  assert.equal(freshness("Denné menu piatok"), MENU_FRESHNESS.STALE);
+  assert.equal(freshness("Denné menu 19.10."), MENU_FRESHNESS.CURRENT);
+  assert.equal(freshness("Denné menu pondelok 12.10."), MENU_FRESHNESS.STALE);
+  assert.equal(freshness("Menu dňa"), MENU_FRESHNESS.UNKNOWN);
+});
+
+test("turns a stored day into a menu day", () => {
+  assert.deepEqual(toMenuDay("2026-10-19"), { date: "2026-10-19", weekday: 1 });
+});
+
+test("takes today in the configured time zone", () => {
+  const lateSunday = new Date("2026-10-18T22:30:00Z");
+
+  assert.deepEqual(getZonedDay(lateSunday, "Europe/Bratislava"), monday);
+  assert.equal(getZonedDay(lateSunday, "UTC").weekday, 0);
+});
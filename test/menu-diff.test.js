@@ -0,0 +1,107 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { diffMenus, planPost, POST_ACTIONS } from "../src/menu-diff.js";
+
+function item(name, amount, overrides = {}) {
+  return {
+    name,
+    course: "main",
+    price: { amount, currency: "EUR" },
+    available: true,
+    ...overrides,
+  };
+}
+
+function result(items, overrides = {}) {
+  return {
+    name: "Môj BRGR",
+    success: true,
+    status: items.length > 0 ? "available" : "no-menu",
+    freshness: "current",
+    menuData: { items },
+    ...overrides,
+  };
+}
+
+const posted = result([
+  item("Bravčový rezeň", 850),
+  item("Vyprážaný syr", 790),
+  item("Gulášová polievka", 150, { course: "soup" }),
+]);
+
+test("reports added, removed, repriced and sold-out dishes", () => {
+  const diff = diffMenus(posted.menuData.items, [
+    item("Bravcovy  rezen", 890),
+    item("Vyprážaný syr", 790, { available: false }),
+    item("Kurací burger", 790),
+  ]);
+
+  assert.deepEqual(
+    diff.added.map((added) => added.name),
+    ["Kurací burger"]
+  );
+  assert.deepEqual(
+    diff.removed.map((removed) => removed.name),
+    ["Gulášová polievka"]
+  );
+  assert.deepEqual(
+    diff.priceChanged.map(({ item, previousPrice }) => [
+      item.name,
+      previousPrice.amount,
+      item.price.amount,
+    ]),
+    [["Bravcovy  rezen", 850, 890]]
+  );
+  assert.deepEqual(
+    diff.soldOut.map((soldOut) => soldOut.name),
+    ["Vyprážaný syr"]
+  );
+  assert.deepEqual(diff.backInStock, []);
+});
+
+test("plans a full post, a diff or nothing depending on the mode", () => {
+  const unchanged = result(posted.menuData.items);
+  const changed = result([
+    ...posted.menuData.items,
+    item("Kurací burger", 790),
+  ]);
+
+  assert.equal(planPost(null, changed, "diff").action, POST_ACTIONS.FULL);
+  assert.equal(planPost(posted, unchanged, "diff").action, POST_ACTIONS.SKIP);
+  assert.equal(planPost(posted, unchanged, "always").action, POST_ACTIONS.FULL);
+  assert.equal(planPost(posted, changed, "full").action, POST_ACTIONS.FULL);
+  assert.equal(planPost(posted, changed, "none").action, POST_ACTIONS.SKIP);
+
+  const { action, diff } = planPost(posted, changed, "diff");
+  assert.equal(action, POST_ACTIONS.DIFF);
+  assert.equal(diff.added.length, 1);
+});
+
+test("takes the availability a re-check posted as already announced", () => {
+  const soldOut = item("Vyprážaný syr", 790, { available: false });
+  const recheck = result([posted.menuData.items[0], soldOut], {
+    posted: POST_ACTIONS.SOLD_OUT,
+  });
+  const current = result([...posted.menuData.items.slice(0, 1), soldOut]);
+
+  assert.equal(
+    planPost({ ...posted, recheck }, current, "diff").diff.soldOut.length,
+    0
+  );
+  assert.deepEqual(
+    planPost(posted, current, "diff").diff.soldOut.map(({ name }) => name),
+    ["Vyprážaný syr"]
+  );
+});
+
+test("posts in full when the status changes and skips a repeated empty menu", () => {
+  const empty = result([]);
+
+  assert.equal(planPost(empty, posted, "diff").action, POST_ACTIONS.FULL);
+  assert.equal(planPost(posted, empty, "diff").action, POST_ACTIONS.FULL);
+  assert.equal(planPost(empty, result([]), "diff").action, POST_ACTIONS.SKIP);
+  assert.equal(
+    planPost(posted, result([], { success: false }), "diff").action,
+    POST_ACTIONS.FULL
+  );
+});
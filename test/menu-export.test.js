@@ -0,0 +1,140 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import path from "path";
+import {
+  collectFeedEntries,
+  EXPORT_SCHEMA_VERSION,
+  resolveExportSettings,
+  writeMenuExports,
+} from "../src/menu-export.js";
+import { siteResult, useTempDir } from "./helpers.js";
+
+const outputDir = useTempDir("bistro-export-");
+
+const results = [
+  siteResult("Môj BRGR", [
+    {
+      id: "a1",
+      name: 'Burger "Classic", hranolky',
+      course: "main",
+      menuNumber: 1,
+      price: { amount: 890, currency: "EUR" },
+      allergens: [{ code: 1 }, { code: 7 }],
+      portion: { amount: 150, unit: "g" },
+      available: true,
+    },
+    {
+      id: "b2",
+      name: "Vyprážaný syr | tatárska",
+      course: "main",
+      menuNumber: 2,
+      price: { amount: 790, currency: "EUR" },
+      available: false,
+    },
+  ]),
+  siteResult("Vinh Bistro", [], {
+    success: false,
+    status: undefined,
+    error: "Timeout <30s>",
+  }),
+];
+
+function read(name) {
+  return fs.readFileSync(path.join(outputDir.path, name), "utf8");
+}
+
+test("writes every format under stable file names", async () => {
+  const written = await writeMenuExports(results, outputDir.path, {
+    day: "2026-10-19",
+  });
+
+  assert.deepEqual(written.map((file) => path.basename(file)).sort(), [
+    "menus.atom",
+    "menus.csv",
+    "menus.json",
+    "menus.md",
+  ]);
+  assert.deepEqual(fs.readdirSync(outputDir.path).sort(), [
+    "menus.atom",
+    "menus.csv",
+    "menus.json",
+    "menus.md",
+  ]);
+
+  const json = JSON.parse(read("menus.json"));
+  assert.equal(json.schemaVersion, EXPORT_SCHEMA_VERSION);
+  assert.equal(json.day, "2026-10-19");
+  assert.deepEqual(
+    json.restaurants.map(({ id, status, error }) => [id, status, error]),
+    [
+      ["moj-brgr", "available", null],
+      ["vinh-bistro", "failed", "Timeout <30s>"],
+    ]
+  );
+  assert.deepEqual(json.restaurants[0].items[0].allergens, [1, 7]);
+  assert.equal(json.restaurants[0].items[1].available, false);
+});
+
+test("quotes CSV fields and escapes Markdown and XML", async () => {
+  await writeMenuExports(results, outputDir.path, { day: "2026-10-19" });
+
+  const csv = read("menus.csv").trim().split("\n");
+  assert.equal(csv.length, 4);
+  assert.ok(csv[0].startsWith("schema_version,day,restaurant_id"));
+  assert.ok(
+    csv[1].includes('"Burger ""Classic"", hranolky",,890,EUR,"1,7",150 g,true')
+  );
+  assert.equal(csv[3], "1,2026-10-19,vinh-bistro,Vinh Bistro,failed");
+
+  const markdown = read("menus.md");
+  assert.ok(markdown.startsWith("# Daily menus pondelok 19.10."));
+  assert.ok(
+    markdown.includes(
+      "| ~~Menu 2: Vyprážaný syr \\| tatárska~~ (sold out) | 7,90 € |  |"
+    )
+  );
+  assert.ok(markdown.includes("Could not be scraped: Timeout <30s>"));
+
+  const atom = read("menus.atom");
+  assert.ok(atom.includes("<id>urn:bistro-scraper:moj-brgr:2026-10-19</id>"));
+  assert.ok(atom.includes("Timeout &amp;lt;30s&amp;gt;"));
+  assert.ok(!atom.includes("<30s>"));
+});
+
+test("keeps one feed entry per restaurant and day across runs", () => {
+  const failed = siteResult("Môj BRGR", [], {
+    success: false,
+    error: "Timeout",
+  });
+  const served = results[0];
+
+  const entries = collectFeedEntries([
+    { day: "2026-10-16", sites: [served] },
+    { day: "2026-10-19", sites: [served] },
+    { day: "2026-10-19", sites: [failed] },
+  ]);
+
+  assert.deepEqual(
+    entries.map(({ day, restaurant }) => [day, restaurant.status]),
+    [
+      ["2026-10-16", "available"],
+      ["2026-10-19", "available"],
+    ]
+  );
+});
+
+test("validates the export settings", () => {
+  assert.equal(resolveExportSettings(undefined), null);
+  assert.deepEqual(resolveExportSettings({ path: "./public" }).formats, [
+    "json",
+    "csv",
+    "markdown",
+    "atom",
+  ]);
+  assert.throws(
+    () => resolveExportSettings({ path: "./public", formats: ["rss"] }),
+    /Invalid export format "rss"/
+  );
+  assert.throws(() => resolveExportSettings({ formats: ["json"] }), /path/);
+});
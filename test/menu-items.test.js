@@ -0,0 +1,74 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { resolveExtractionRules } from "../src/extraction-rules.js";
+import { mergeDuplicateItems, normalizeMenuItem } from "../src/menu-items.js";
+
+const rules = resolveExtractionRules();
+
+function rawItem(name, description, overrides = {}) {
+  return normalizeMenuItem(
+    {
+      name,
+      priceText: "8,50 €",
+      description,
+      available: true,
+      ...overrides,
+    },
+    rules
+  );
+}
+
+test("merges the same dish however it was spaced or accented", () => {
+  const { items, duplicates } = mergeDuplicateItems(
+    [
+      rawItem("Kurací rezeň", rules.defaultDescription),
+      rawItem("Kuraci  rezen", "so zemiakovou kašou"),
+      rawItem("Vyprážaný syr", rules.defaultDescription),
+    ],
+    rules
+  );
+
+  assert.equal(duplicates, 1);
+  assert.deepEqual(
+    items.map((item) => [item.name, item.description]),
+    [
+      ["Kurací rezeň", "so zemiakovou kašou"],
+      ["Vyprážaný syr", rules.defaultDescription],
+    ]
+  );
+});
+
+test("keeps details only a later copy had", () => {
+  const { items } = mergeDuplicateItems(
+    [
+      rawItem("Kurací rezeň", "so zemiakovou kašou"),
+      rawItem("Kurací rezeň", "s ryžou", {
+        rawText: "Kurací rezeň 150g 8,50 € s ryžou (1, 3)",
+        available: false,
+      }),
+    ],
+    rules
+  );
+
+  assert.equal(items.length, 1);
+  assert.equal(items[0].description, "so zemiakovou kašou");
+  assert.deepEqual(
+    items[0].allergens.map((allergen) => allergen.code),
+    [1, 3]
+  );
+  assert.equal(items[0].portion.amount, 150);
+  assert.equal(items[0].available, false);
+});
+
+test("keeps a dish at another price as a separate item", () => {
+  const { items, duplicates } = mergeDuplicateItems(
+    [
+      rawItem("Kurací rezeň", "malý", { priceText: "6,50 €" }),
+      rawItem("Kurací rezeň", "veľký"),
+    ],
+    rules
+  );
+
+  assert.equal(duplicates, 0);
+  assert.equal(items.length, 2);
+});
@@ -0,0 +1,106 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  captureMenuScreenshot,
+  resolveMenuScreenshot,
+} from "../src/menu-screenshot.js";
+
+// Records what the screenshot code does with the page instead of rendering it
+function fakePage({ sections = 1, failScreenshot = false } = {}) {
+  const calls = [];
+  const section = {
+    count: async () => sections,
+    screenshot: async (options) => {
+      calls.push(["screenshot", options]);
+      if (failScreenshot) throw new Error("Timeout 10000ms exceeded");
+    },
+  };
+
+  return {
+    calls,
+    locator: (selector) => {
+      calls.push(["locator", selector]);
+      return { first: () => section };
+    },
+    addStyleTag: async ({ content }) => {
+      calls.push(["addStyleTag", content]);
+      return { evaluate: async () => calls.push(["removeStyleTag"]) };
+    },
+  };
+}
+
+test("menu screenshots are opt-in", () => {
+  assert.equal(resolveMenuScreenshot({ name: "Môj BRGR" }, {}), false);
+  assert.equal(
+    resolveMenuScreenshot({ name: "Môj BRGR" }, { menuScreenshot: "plain" }),
+    "plain"
+  );
+  assert.equal(
+    resolveMenuScreenshot(
+      { name: "Môj BRGR", menuScreenshot: false },
+      { menuScreenshot: "annotated" }
+    ),
+    false
+  );
+  assert.throws(
+    () =>
+      resolveMenuScreenshot({ name: "Môj BRGR", menuScreenshot: "red" }, {}),
+    /Invalid menuScreenshot "red" for Môj BRGR/
+  );
+});
+
+test("outlines the extracted items while the section is captured", async () => {
+  const page = fakePage();
+
+  assert.equal(
+    await captureMenuScreenshot(page, "/tmp/menu.png", "annotated"),
+    true
+  );
+  assert.deepEqual(
+    page.calls.map(([call]) => call),
+    ["locator", "addStyleTag", "screenshot", "removeStyleTag"]
+  );
+  assert.equal(page.calls[0][1], '[data-daily-menu="section"]');
+  assert.match(page.calls[1][1], /\[data-daily-menu="item"\]/);
+  assert.deepEqual(page.calls[2][1], {
+    path: "/tmp/menu.png",
+    type: "png",
+    timeout: 10000,
+  });
+});
+
+test("captures a plain crop without touching the page styles", async () => {
+  const page = fakePage();
+
+  assert.equal(
+    await captureMenuScreenshot(page, "/tmp/menu.png", "plain"),
+    true
+  );
+  assert.deepEqual(
+    page.calls.map(([call]) => call),
+    ["locator", "screenshot"]
+  );
+});
+
+test("skips pages without a marked section", async () => {
+  const page = fakePage({ sections: 0 });
+
+  assert.equal(
+    await captureMenuScreenshot(page, "/tmp/menu.png", "annotated"),
+    false
+  );
+  assert.deepEqual(
+    page.calls.map(([call]) => call),
+    ["locator"]
+  );
+});
+
+test("removes the outline when the screenshot fails", async () => {
+  const page = fakePage({ failScreenshot: true });
+
+  await assert.rejects(
+    captureMenuScreenshot(page, "/tmp/menu.png", "annotated"),
+    /Timeout/
+  );
+  assert.deepEqual(page.calls.at(-1), ["removeStyleTag"]);
+});
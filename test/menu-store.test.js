@@ -0,0 +1,150 @@
+import { test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import path from "path";
+import { MenuStore } from "../src/menu-store.js";
+import { siteResult, useTempDir } from "./helpers.js";
+
+const tempDir = useTempDir("bistro-store-");
+let store;
+
+beforeEach(() => {
+  store = new MenuStore({
+    storePath: tempDir.path,
+    timezone: "Europe/Bratislava",
+  });
+});
+
+const soup = { id: "a1", name: "Gulášová polievka", available: true };
+const schnitzel = { id: "b2", name: "Bravčový rezeň", available: true };
+
+test("appends runs and reads them back by day, trigger and site", async () => {
+  await store.recordRun([siteResult("Brgr", [soup, schnitzel])], {
+    startedAt: new Date("2026-09-30T09:30:00Z"),
+    finishedAt: new Date("2026-09-30T09:31:00Z"),
+  });
+  const run = await store.recordRun(
+    [
+      siteResult("Brgr", [soup], { screenshotPath: "./screenshots/page.png" }),
+      siteResult("Vinh", [], { success: false, error: "timeout" }),
+    ],
+    {
+      trigger: "manual",
+      startedAt: new Date("2026-10-19T09:30:00Z"),
+      finishedAt: new Date("2026-10-19T09:30:45Z"),
+    }
+  );
+
+  assert.equal(run.day, "2026-10-19");
+  assert.equal(run.durationMs, 45000);
+  assert.deepEqual(run.summary, {
+    totalSites: 2,
+    successfulSites: 1,
+    failedSites: 1,
+    totalMenuItems: 1,
+  });
+  assert.equal("screenshotPath" in run.sites[0], false);
+  assert.deepEqual(fs.readdirSync(tempDir.path).sort(), [
+    "runs-2026-09.jsonl",
+    "runs-2026-10.jsonl",
+  ]);
+
+  assert.equal((await store.getRuns()).length, 2);
+  assert.equal((await store.getRuns({ from: "2026-10-01" })).length, 1);
+  assert.equal((await store.getLastRun()).id, run.id);
+  assert.equal(
+    (await store.getLastRun({ trigger: "schedule" })).day,
+    "2026-09-30"
+  );
+
+  const history = await store.getSiteHistory("vinh");
+  assert.deepEqual(
+    history.map((result) => [result.runId, result.error]),
+    [[run.id, "timeout"]]
+  );
+
+  const items = await store.getItems({ site: "Brgr" });
+  assert.deepEqual(
+    items.map((item) => [item.day, item.name]),
+    [
+      ["2026-09-30", "Gulášová polievka"],
+      ["2026-09-30", "Bravčový rezeň"],
+      ["2026-10-19", "Gulášová polievka"],
+    ]
+  );
+});
+
+test("returns the latest successful result of each site for a day", async () => {
+  const morning = new Date("2026-10-19T09:30:00Z");
+  const noon = new Date("2026-10-19T10:15:00Z");
+
+  await store.recordRun(
+    [siteResult("Brgr", [soup, schnitzel]), siteResult("Vinh", [soup])],
+    { startedAt: morning, finishedAt: morning }
+  );
+  await store.recordRun(
+    [
+      siteResult("Brgr", [soup, { ...schnitzel, available: false }]),
+      siteResult("Vinh", [], { success: false }),
+    ],
+    { trigger: "recheck", startedAt: noon, finishedAt: noon }
+  );
+
+  const latest = await store.getLatestResults("2026-10-19");
+  assert.deepEqual(
+    latest.map((result) => [
+      result.name,
+      result.menuData.items.map((item) => item.available),
+    ]),
+    [
+      ["Brgr", [true, false]],
+      ["Vinh", [true]],
+    ]
+  );
+  assert.deepEqual(await store.getLatestResults("2026-10-20"), []);
+});
+
+test("keeps the re-check posted since the last posted menu", async () => {
+  const at = (time) => ({
+    startedAt: new Date(`2026-10-19T${time}:00Z`),
+    finishedAt: new Date(`2026-10-19T${time}:00Z`),
+  });
+  const posted = (name, items, action) =>
+    siteResult(name, items, { posted: action });
+
+  await store.recordRun([posted("Brgr", [soup], "full")], at("09:00"));
+  await store.recordRun(
+    [posted("Brgr", [{ ...soup, available: false }], "soldOut")],
+    at("10:00")
+  );
+  await store.recordRun([posted("Brgr", [soup], "skip")], at("10:30"));
+  await store.recordRun([posted("Vinh", [soup], "soldOut")], at("11:00"));
+
+  const latest = await store.getLatestResults("2026-10-19", {
+    postedOnly: true,
+  });
+  assert.deepEqual(
+    latest.map((result) => [
+      result.name,
+      result.posted,
+      result.recheck?.menuData.items[0].available,
+    ]),
+    [["Brgr", "full", false]]
+  );
+});
+
+test("skips a partly written line and reads nothing from an empty store", async () => {
+  assert.deepEqual(await store.getRuns(), []);
+
+  await store.recordRun([siteResult("Brgr", [soup])], {
+    startedAt: new Date("2026-10-19T09:30:00Z"),
+  });
+  fs.appendFileSync(
+    path.join(tempDir.path, "runs-2026-10.jsonl"),
+    '{"id":"cut-off","sites":['
+  );
+
+  const runs = await store.getRuns();
+  assert.equal(runs.length, 1);
+  assert.notEqual(runs[0].id, "cut-off");
+});
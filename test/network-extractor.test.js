@@ -0,0 +1,186 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  getPath,
+  mapNetworkItems,
+  resolveNetworkRules,
+} from "../src/network-extractor.js";
+import { resolveExtractionRules } from "../src/extraction-rules.js";
+import { normalizeMenuItem } from "../src/menu-items.js";
+
+// Config requires a webhook URL even though nothing is posted in tests
+process.env.DISCORD_WEBHOOK_URL ||=
+  "https://discord.com/api/webhooks/0/network-tests";
+
+const { ScreenshotScraper } = await import("../src/screenshot-scraper.js");
+
+const extractionRules = resolveExtractionRules();
+
+const payload = {
+  url: "https://www.bistro.sk/api/restaurants/moj-brgr/menu",
+  body: {
+    data: {
+      dailyMenuTitle: "Denné menu pondelok 19.10.",
+      categories: [
+        {
+          items: [
+            {
+              categoryName: "Denné menu",
+              name: "Polievka 1: Hovädzí vývar",
+              price: { amount: 150 },
+              allergenCodes: [{ code: 1 }, { code: 9 }],
+              available: true,
+            },
+            {
+              categoryName: "Burgre",
+              name: "Classic burger",
+              price: { amount: 1090 },
+            },
+          ],
+        },
+        {
+          items: [
+            {
+              categoryName: "Denné menu",
+              name: "Menu 2: Kurací rezeň 150g",
+              price: { amount: "8,50 €" },
+              allergenCodes: "1, 3, 7",
+              available: false,
+            },
+            {
+              categoryName: "Denné menu",
+              name: "Menu 3: Vyprážaný syr",
+              price: { amount: 790 },
+              available: "yes",
+            },
+          ],
+        },
+      ],
+    },
+  },
+};
+
+const rules = resolveNetworkRules({
+  urlPattern: "/api/restaurants/.+/menu",
+  itemsPath: "data.categories[].items[]",
+  match: { categoryName: "denné menu" },
+  headingPath: "data.dailyMenuTitle",
+  fields: { price: "price.amount", allergens: "allergenCodes" },
+  priceUnit: "cent",
+});
+
+test("flattens nested arrays along a path", () => {
+  assert.deepEqual(
+    getPath(payload.body, "data.categories[].items[]").length,
+    4
+  );
+  assert.deepEqual(getPath(payload.body, "data.missing[].items[]"), []);
+  assert.deepEqual(getPath({ a: { b: 0 } }, "a.b"), [0]);
+});
+
+test("maps the matching entries of captured responses", () => {
+  const { heading, items } = mapNetworkItems([payload], rules, extractionRules);
+
+  assert.equal(heading, "Denné menu pondelok 19.10.");
+  assert.deepEqual(
+    items.map((item) => item.name),
+    ["Hovädzí vývar", "Kurací rezeň 150g", "Vyprážaný syr"]
+  );
+
+  const [soup, main, cheese] = items;
+  assert.equal(soup.rawName, "Polievka 1: Hovädzí vývar");
+  assert.equal(soup.price.amount, 150);
+  assert.deepEqual(
+    soup.allergens.map((allergen) => allergen.code),
+    [1, 9]
+  );
+  assert.equal(soup.available, true);
+  assert.equal(soup.source, "network");
+  assert.equal(soup.sourceUrl, payload.url);
+  assert.equal(main.available, false);
+  assert.deepEqual(
+    main.allergens.map((allergen) => allergen.code),
+    [1, 3, 7]
+  );
+  assert.equal(cheese.price.amount, 790);
+  assert.equal(cheese.available, null);
+});
+
+test("takes numeric prices in euros unless told they are cents", () => {
+  const { items } = mapNetworkItems(
+    [{ url: payload.url, body: [{ name: "Kofola", price: 1.5 }] }],
+    resolveNetworkRules({ urlPattern: "menu", itemsPath: "[]" }),
+    extractionRules
+  );
+
+  assert.equal(items[0].price.amount, 150);
+});
+
+test("runs text prices and names through the extraction rules", () => {
+  const { items } = mapNetworkItems([payload], rules, extractionRules);
+  const [soup, main] = items.map((item) =>
+    normalizeMenuItem(item, extractionRules)
+  );
+
+  assert.equal(items[1].price, undefined);
+  assert.equal(items[1].priceText, "8,50 €");
+  assert.equal(main.price.amount, 850);
+  assert.equal(main.portion.amount, 150);
+  assert.equal(main.course, "main");
+  assert.equal(main.menuNumber, 2);
+  assert.equal(soup.course, "soup");
+  assert.equal(soup.menuNumber, 1);
+});
+
+test("rejects unknown, missing and invalid rules", () => {
+  assert.equal(resolveNetworkRules(undefined, undefined), null);
+  assert.throws(
+    () =>
+      resolveNetworkRules({ urlPattern: "menu", itemsPath: "[]", path: "" }),
+    /Unknown network rule: path/
+  );
+  assert.throws(
+    () => resolveNetworkRules({ urlPattern: "menu" }),
+    /Network rules need itemsPath/
+  );
+  assert.throws(
+    () =>
+      resolveNetworkRules({
+        urlPattern: "menu",
+        itemsPath: "[]",
+        priceUnit: "dollar",
+      }),
+    /Invalid network priceUnit "dollar"/
+  );
+  assert.throws(
+    () =>
+      resolveNetworkRules({
+        urlPattern: "menu",
+        itemsPath: "[]",
+        match: { name: "(" },
+      }),
+    /Invalid network match.name/
+  );
+});
+
+test("leaves the menu to the page when no response yields an item", async () => {
+  const scraper = new ScreenshotScraper();
+  const site = {
+    name: "Môj BRGR",
+    network: rules,
+    extraction: extractionRules,
+  };
+  const capture = (payloads) => ({ collect: async () => payloads });
+
+  const empty = await scraper.extractMenuFromNetwork(capture([]), site);
+  assert.deepEqual(empty, { heading: null, items: [] });
+
+  const unmatched = await scraper.extractMenuFromNetwork(
+    capture([{ url: payload.url, body: { data: { categories: [] } } }]),
+    site
+  );
+  assert.deepEqual(unmatched.items, []);
+
+  const menu = await scraper.extractMenuFromNetwork(capture([payload]), site);
+  assert.equal(menu.items.length, 3);
+});
@@ -0,0 +1,114 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  DEFAULT_PAGE_ACTIONS,
+  migrateCookieScript,
+  validatePageActions,
+} from "../src/page-actions.js";
+
+// Config requires a webhook URL even though nothing is posted in tests
+process.env.DISCORD_WEBHOOK_URL ||=
+  "https://discord.com/api/webhooks/0/page-actions-tests";
+
+const { Config } = await import("../src/config.js");
+
+test("migrates a cookie script into page actions", () => {
+  assert.deepEqual(
+    migrateCookieScript(
+      `await page.waitForSelector("button.cookie", { timeout: 3000 });
+       await page.click('button:has-text("Prijať všetko")');`,
+      "Môj BRGR"
+    ),
+    [
+      { action: "waitForSelector", selector: "button.cookie", timeout: 3000 },
+      { action: "click", selector: "button", text: "Prijať všetko" },
+    ]
+  );
+  assert.deepEqual(migrateCookieScript("  ", "Môj BRGR"), []);
+});
+
+test("makes the steps of a try block optional", () => {
+  assert.deepEqual(
+    migrateCookieScript(
+      "try { await page.click('#accept'); await page.waitForTimeout(500); } catch (e) {}",
+      "Môj BRGR"
+    ),
+    [
+      { action: "click", selector: "#accept", optional: true },
+      { action: "wait", ms: 500, optional: true },
+    ]
+  );
+});
+
+test("refuses scripts it cannot translate", () => {
+  assert.throws(
+    () => migrateCookieScript("await page.evaluate(() => 1)", "Môj BRGR"),
+    /Cannot migrate cookieScript for Môj BRGR: unsupported statement/
+  );
+});
+
+test("validates page actions and their fields", () => {
+  const steps = [
+    { action: "click", text: "Prijať" },
+    { action: "fill", selector: "#zip", value: "81101" },
+  ];
+  assert.equal(validatePageActions(steps, "Môj BRGR"), steps);
+
+  assert.throws(
+    () => validatePageActions({ action: "click" }, "Môj BRGR"),
+    /must be an array/
+  );
+  assert.throws(
+    () => validatePageActions([{ action: "hover" }], "Môj BRGR"),
+    /pageActions\[0\] for Môj BRGR has unknown action "hover"/
+  );
+  assert.throws(
+    () => validatePageActions([{ action: "wait" }], "Môj BRGR"),
+    /\(wait\) is missing "ms"/
+  );
+  assert.throws(
+    () => validatePageActions([{ action: "click" }], "Môj BRGR"),
+    /\(click\) needs selector or text/
+  );
+});
+
+test("warns about a migrated cookie script once per site", (t) => {
+  const warn = t.mock.method(console, "warn", () => {});
+  const site = {
+    name: "Vinh Bistro",
+    cookieScript: 'await page.click("button.accept")',
+  };
+
+  for (let load = 0; load < 3; load++) {
+    assert.deepEqual(new Config().resolvePageActions(site), [
+      { action: "click", selector: "button.accept" },
+    ]);
+  }
+  new Config().resolvePageActions({ ...site, name: "Centrál Pub" });
+
+  assert.deepEqual(
+    warn.mock.calls.map(({ arguments: [message] }) => message.split(":")[0]),
+    ["Vinh Bistro", "Centrál Pub"]
+  );
+});
+
+test("falls back to the generic cookie banner step", () => {
+  const config = new Config();
+
+  assert.equal(
+    config.resolvePageActions({ name: "Môj BRGR" }),
+    DEFAULT_PAGE_ACTIONS
+  );
+  assert.equal(
+    config.resolvePageActions({ name: "Môj BRGR", cookieScript: " " }),
+    DEFAULT_PAGE_ACTIONS
+  );
+  assert.deepEqual(
+    config.resolvePageActions({ name: "Môj BRGR", pageActions: [] }),
+    []
+  );
+  assert.equal(
+    validatePageActions(DEFAULT_PAGE_ACTIONS, "default"),
+    DEFAULT_PAGE_ACTIONS
+  );
+});
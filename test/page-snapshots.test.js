@@ -0,0 +1,118 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import path from "path";
+import { PageSnapshotStore } from "../src/page-snapshots.js";
+import { useTempDir } from "./helpers.js";
+
+const tempDir = useTempDir("bistro-snapshots-");
+const site = {
+  name: "Centrál Pub",
+  url: "https://www.bistro.sk/restauracia/central-pub",
+};
+
+// Records the routes a snapshot sets up instead of serving them
+function fakeContext() {
+  return {
+    harRoutes: [],
+    routes: [],
+    routeFromHAR: async function (har, options) {
+      this.harRoutes.push([har, options]);
+    },
+    route: async function (pattern, handler) {
+      this.routes.push([pattern, handler]);
+    },
+  };
+}
+
+function fakeRoute(resourceType) {
+  const calls = [];
+  return {
+    calls,
+    request: () => ({ resourceType: () => resourceType }),
+    fulfill: async (response) => calls.push(["fulfill", response]),
+    abort: async () => calls.push(["abort"]),
+  };
+}
+
+test("records the site into a HAR and saves the rendered page", async () => {
+  const store = new PageSnapshotStore(tempDir.path);
+  const context = fakeContext();
+  const dir = path.join(tempDir.path, "central-pub");
+
+  await store.prepareRecording(context, site);
+  assert.ok(fs.existsSync(dir));
+  assert.deepEqual(context.harRoutes, [
+    [
+      path.join(dir, "page.har"),
+      { update: true, updateContent: "embed", updateMode: "full" },
+    ],
+  ]);
+
+  await store.saveRecording({ content: async () => "<main>Menu</main>" }, site);
+  assert.equal(
+    fs.readFileSync(path.join(dir, "page.html"), "utf8"),
+    "<main>Menu</main>"
+  );
+  const meta = store.readMeta(site);
+  assert.equal(meta.id, "central-pub");
+  assert.equal(meta.url, site.url);
+  assert.ok(!Number.isNaN(Date.parse(meta.recordedAt)));
+  assert.deepEqual(store.listSnapshots(), ["central-pub"]);
+});
+
+test("replays the HAR when one was recorded", async () => {
+  const store = new PageSnapshotStore(tempDir.path);
+  const { har, html } = store.getPaths(site);
+  fs.mkdirSync(path.dirname(har), { recursive: true });
+  fs.writeFileSync(har, "{}");
+  fs.writeFileSync(html, "<main></main>");
+  const context = fakeContext();
+
+  assert.equal(await store.prepareReplay(context, site), "har");
+  assert.deepEqual(context.harRoutes, [[har, { notFound: "abort" }]]);
+  assert.deepEqual(context.routes, []);
+});
+
+test("serves the rendered HTML and aborts everything else", async () => {
+  const store = new PageSnapshotStore(tempDir.path);
+  const { html } = store.getPaths(site);
+  fs.mkdirSync(path.dirname(html), { recursive: true });
+  fs.writeFileSync(html, "<main>Denné menu</main>");
+  const context = fakeContext();
+
+  assert.equal(await store.prepareReplay(context, site), "html");
+  const [[pattern, handler]] = context.routes;
+  assert.equal(pattern, "**/*");
+
+  const document = fakeRoute("document");
+  await handler(document);
+  assert.deepEqual(document.calls, [
+    [
+      "fulfill",
+      {
+        status: 200,
+        contentType: "text/html; charset=utf-8",
+        body: "<main>Denné menu</main>",
+      },
+    ],
+  ]);
+
+  const script = fakeRoute("script");
+  await handler(script);
+  assert.deepEqual(script.calls, [["abort"]]);
+});
+
+test("refuses to replay a site without a snapshot", async () => {
+  const store = new PageSnapshotStore(tempDir.path);
+
+  await assert.rejects(
+    store.prepareReplay(fakeContext(), site),
+    /No snapshot recorded for Centrál Pub/
+  );
+  assert.equal(store.readMeta(site), null);
+  assert.deepEqual(
+    new PageSnapshotStore(path.join(tempDir.path, "missing")).listSnapshots(),
+    []
+  );
+});
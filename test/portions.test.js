@@ -0,0 +1,37 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { resolveExtractionRules } from "../src/extraction-rules.js";
+import { formatPortion, parsePortion } from "../src/portions.js";
+
+const { portionPattern } = resolveExtractionRules();
+
+test("converts portions to grams, millilitres or pieces", () => {
+  assert.deepEqual(parsePortion("Polievka 0,33l", portionPattern), {
+    amount: 330,
+    unit: "ml",
+    text: "0,33l",
+  });
+  assert.deepEqual(parsePortion("Hranolky 0,2 kg", portionPattern), {
+    amount: 200,
+    unit: "g",
+    text: "0,2 kg",
+  });
+  assert.equal(parsePortion("Pivo 5dl", portionPattern).amount, 500);
+  assert.equal(parsePortion("Wings 6 ks", portionPattern).unit, "pcs");
+});
+
+test("ignores text without a portion", () => {
+  assert.equal(parsePortion("Pizza 32cm", portionPattern), null);
+  assert.equal(parsePortion("Gulášovka", portionPattern), null);
+  assert.equal(parsePortion("Rezeň 150g", null), null);
+  assert.equal(parsePortion("Rezeň 150g", "(\\d+)g"), null);
+  assert.equal(parsePortion("Syr 2x", "(\\d+)x|(\\d+)(g)"), null);
+});
+
+test("formats portions for posting", () => {
+  assert.equal(formatPortion(parsePortion("150g", portionPattern)), "150 g");
+  assert.equal(formatPortion(parsePortion("0,33l", portionPattern)), "0,33 l");
+  assert.equal(formatPortion(parsePortion("50ml", portionPattern)), "50 ml");
+  assert.equal(formatPortion(parsePortion("6 ks", portionPattern)), "6 ks");
+  assert.equal(formatPortion(null), "");
+});
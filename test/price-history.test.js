@@ -0,0 +1,83 @@
+import { test, before } from "node:test";
+import assert from "node:assert/strict";
+import { MenuStore } from "../src/menu-store.js";
+import { buildPriceReport, getDishPriceHistory } from "../src/price-history.js";
+import { useTempDir } from "./helpers.js";
+
+const storeDir = useTempDir("bistro-prices-", { shared: true });
+let store;
+
+function item(name, amount, course = "main") {
+  return { name, course, price: { amount, currency: "EUR" } };
+}
+
+before(async () => {
+  store = new MenuStore({
+    storePath: storeDir.path,
+    timezone: "Europe/Bratislava",
+  });
+
+  const menus = [
+    ["2026-10-05", [item("Bravčový rezeň", 850), item("Vyprážaný syr", 790)]],
+    [
+      "2026-10-12",
+      [item("Bravčový rezeň", 850), item("Gulášová polievka", 150, "soup")],
+    ],
+    ["2026-10-14", [item("Bravcovy rezen", 890), item("Kurací burger", 990)]],
+    ["2026-10-16", [item("Vyprážaný syr", 750), item("Hovädzí guláš", 700)]],
+  ];
+  for (const [day, items] of menus) {
+    await store.recordRun(
+      [{ name: "Môj BRGR", success: true, menuData: { items } }],
+      { startedAt: new Date(`${day}T09:30:00Z`) }
+    );
+  }
+});
+
+test("compares the week's prices with the last time each dish was served", async () => {
+  const report = await buildPriceReport(store, { to: "2026-10-19" });
+
+  assert.equal(report.from, "2026-10-13");
+  assert.deepEqual(
+    report.increases.map((change) => [
+      change.name,
+      change.previous.amount,
+      change.current.amount,
+      change.since,
+    ]),
+    [["Bravcovy rezen", 850, 890, "2026-10-12"]]
+  );
+  assert.deepEqual(
+    report.decreases.map((change) => [change.name, change.since]),
+    [["Vyprážaný syr", "2026-10-05"]]
+  );
+  assert.deepEqual(
+    report.cheapest.map((entry) => entry.name),
+    ["Hovädzí guláš", "Vyprážaný syr", "Bravcovy rezen", "Kurací burger"]
+  );
+
+  const [restaurant] = report.restaurants;
+  assert.equal(restaurant.average, 833);
+  assert.equal(restaurant.previousAverage, 850);
+  assert.deepEqual(
+    restaurant.daily.map((day) => [day.day, day.average]),
+    [
+      ["2026-10-14", 940],
+      ["2026-10-16", 725],
+    ]
+  );
+});
+
+test("lists the price history of a dish across spellings", async () => {
+  const [dish] = await getDishPriceHistory(store, "Bravčový rezeň");
+
+  assert.equal(dish.site, "Môj BRGR");
+  assert.deepEqual(
+    dish.prices.map((price) => [price.day, price.amount]),
+    [
+      ["2026-10-05", 850],
+      ["2026-10-12", 850],
+      ["2026-10-14", 890],
+    ]
+  );
+});
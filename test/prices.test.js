@@ -0,0 +1,76 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { parseHTML } from "linkedom";
+import { extractDailyMenu } from "../src/menu-extractor.js";
+import { resolveExtractionRules } from "../src/extraction-rules.js";
+import { formatPrice, parsePrice } from "../src/prices.js";
+
+const rules = resolveExtractionRules();
+
+function extractPriceTexts(...itemTexts) {
+  const { document } = parseHTML(`<main><section><h2>Denné menu</h2>
+    ${itemTexts.map((text) => `<div class="item">${text}</div>`).join("")}
+  </section></main>`);
+
+  return extractDailyMenu(
+    {
+      rules: {
+        ...rules,
+        sectionSelectors: ["section"],
+        sectionPatterns: ["denné menu"],
+        itemSelector: ".item",
+      },
+      visibleOnly: false,
+    },
+    document
+  ).items.map((item) => item.priceText);
+}
+
+test("parses single, from and multi-size prices", () => {
+  assert.deepEqual(parsePrice("Rezeň 150g 8,50 €", rules.pricePattern), {
+    amount: 850,
+    currency: "EUR",
+    isFromPrice: false,
+    variants: [
+      { label: null, amount: 850, currency: "EUR", isFromPrice: false },
+    ],
+  });
+  assert.equal(
+    parsePrice("Pizza od 7,90 €", rules.pricePattern).isFromPrice,
+    true
+  );
+  assert.deepEqual(
+    parsePrice("0,3l 1,50 € / 0,5l 2,20 €", rules.pricePattern).variants.map(
+      ({ label, amount }) => [label, amount]
+    ),
+    [
+      ["0,3l", 150],
+      ["0,5l", 220],
+    ]
+  );
+  assert.equal(parsePrice("Bez ceny", rules.pricePattern), null);
+});
+
+test("formats prices with their sizes", () => {
+  assert.equal(formatPrice(parsePrice("8,50 €", rules.pricePattern)), "8,50 €");
+  assert.equal(
+    formatPrice(parsePrice("od 7,90 €", rules.pricePattern)),
+    "od 7,90 €"
+  );
+  assert.equal(
+    formatPrice(parsePrice("malá 3,20 € veľká 4,10 €", rules.pricePattern)),
+    "malá 3,20 € / veľká 4,10 €"
+  );
+  assert.equal(formatPrice(null), "");
+});
+
+test("takes only the item's own prices from its text", () => {
+  assert.deepEqual(
+    extractPriceTexts(
+      "Menu 2: Rezeň 150g 8,50 € Polievka k menu +1,20 €",
+      "Kofola 0,3l 1,50 € / 0,5l 2,20 €",
+      "Pizza Margherita od 7,90 € (1, 7)"
+    ),
+    ["150g 8,50 €", "0,3l 1,50 € / 0,5l 2,20 €", "od 7,90 €"]
+  );
+});
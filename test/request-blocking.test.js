@@ -0,0 +1,73 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  RequestBlocker,
+  resolveRequestBlocking,
+} from "../src/request-blocking.js";
+
+function request(url, resourceType = "script") {
+  return { url: () => url, resourceType: () => resourceType };
+}
+
+test("lets site settings replace global ones key by key", () => {
+  const rules = resolveRequestBlocking(
+    { resourceTypes: ["image"] },
+    { domains: ["tracker.sk"] }
+  );
+
+  assert.deepEqual(rules, {
+    resourceTypes: ["image"],
+    domains: ["tracker.sk"],
+  });
+  assert.equal(resolveRequestBlocking(false, {}), null);
+  assert.equal(resolveRequestBlocking(undefined, false), null);
+  assert.ok(resolveRequestBlocking({}, false));
+});
+
+test("rejects unknown settings and resource types", () => {
+  assert.throws(
+    () => resolveRequestBlocking({ urls: [] }),
+    /Unknown request blocking setting: urls/
+  );
+  assert.throws(
+    () => resolveRequestBlocking({ resourceTypes: ["document"] }),
+    /Cannot block resource type "document"/
+  );
+});
+
+test("blocks by resource type, then by domain and its subdomains", () => {
+  const blocker = new RequestBlocker(resolveRequestBlocking());
+
+  assert.deepEqual(
+    blocker.getBlockReason(request("https://www.bistro.sk/logo.png", "image")),
+    { type: "image" }
+  );
+  assert.deepEqual(
+    blocker.getBlockReason(request("https://www.googletagmanager.com/gtm.js")),
+    { domain: "googletagmanager.com" }
+  );
+  assert.equal(
+    blocker.getBlockReason(request("https://notclarity.ms/tag.js")),
+    null
+  );
+  assert.equal(
+    blocker.getBlockReason(request("https://www.bistro.sk/app.js")),
+    null
+  );
+  assert.equal(blocker.getBlockReason(request("data:,")), null);
+});
+
+test("lets images through when screenshots need them", () => {
+  const blocker = new RequestBlocker(resolveRequestBlocking(), {
+    allowImages: true,
+  });
+
+  assert.equal(
+    blocker.getBlockReason(request("https://www.bistro.sk/logo.png", "image")),
+    null
+  );
+  assert.deepEqual(
+    blocker.getBlockReason(request("https://www.bistro.sk/font.woff2", "font")),
+    { type: "font" }
+  );
+});
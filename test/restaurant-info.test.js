@@ -0,0 +1,65 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  parseRestaurantInfo,
+  resolveRestaurantInfo,
+} from "../src/restaurant-info.js";
+
+const rules = resolveRestaurantInfo();
+
+test("reads opening hours, delivery, minimum order and rating", () => {
+  const text = [
+    "Môj BRGR",
+    "Otváracie hodiny: 10.30 - 21:00",
+    "Doba doručenia 30 – 45 min",
+    "Poplatok za doručenie: 2,50 €",
+    "Minimálna objednávka 10 €",
+    "Hodnotenie 4,7 / 5 (312 hodnotení)",
+  ].join("\n");
+
+  assert.deepEqual(parseRestaurantInfo(text, rules), {
+    openingHours: { opens: "10:30", closes: "21:00" },
+    deliveryTime: { min: 30, max: 45 },
+    deliveryFee: { amount: 250, currency: "EUR" },
+    minimumOrder: { amount: 1000, currency: "EUR" },
+    rating: { value: 4.7, count: 312 },
+  });
+});
+
+test("reads free delivery and leaves out what the page does not show", () => {
+  assert.deepEqual(
+    parseRestaurantInfo("Doprava zadarmo\nDoručenie do 40 min\n★ 4.2", rules),
+    {
+      openingHours: null,
+      deliveryTime: { min: 40, max: 40 },
+      deliveryFee: { amount: 0, currency: "EUR" },
+      minimumOrder: null,
+      rating: { value: 4.2, count: null },
+    }
+  );
+});
+
+test("skips fields whose pattern is turned off", () => {
+  const info = parseRestaurantInfo(
+    "Hodnotenie 4,7 / 5",
+    resolveRestaurantInfo({ ratingPattern: null })
+  );
+  assert.equal(info.rating, null);
+});
+
+test("validates the restaurant info settings", () => {
+  assert.equal(resolveRestaurantInfo(false, {}), null);
+  assert.equal(resolveRestaurantInfo(undefined, false), null);
+  assert.throws(
+    () => resolveRestaurantInfo({ phonePattern: "tel" }),
+    /Unknown restaurantInfo setting: phonePattern/
+  );
+  assert.throws(
+    () => resolveRestaurantInfo({ display: "embed" }),
+    /Invalid restaurantInfo display "embed"/
+  );
+  assert.throws(
+    () => resolveRestaurantInfo({ ratingPattern: "(" }),
+    /Invalid restaurantInfo ratingPattern/
+  );
+});
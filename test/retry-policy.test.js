@@ -0,0 +1,79 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  describeFailure,
+  getRetryDelay,
+  resolveRetryPolicy,
+} from "../src/retry-policy.js";
+
+test("backs off exponentially up to the maximum delay", () => {
+  const policy = resolveRetryPolicy(
+    { retryAttempts: 5 },
+    { retryDelay: 1000, retryMaxDelay: 5000 }
+  );
+
+  assert.deepEqual(policy, {
+    attempts: 5,
+    delay: 1000,
+    backoffFactor: 2,
+    maxDelay: 5000,
+  });
+  assert.deepEqual(
+    [1, 2, 3, 4].map((attempt) => getRetryDelay(policy, attempt)),
+    [1000, 2000, 4000, 5000]
+  );
+  assert.equal(resolveRetryPolicy({ retryAttempts: 0 }).attempts, 1);
+});
+
+test("rejects retry settings that are not numbers", () => {
+  assert.equal(resolveRetryPolicy({ retryDelay: "500" }).delay, 500);
+  assert.throws(
+    () => resolveRetryPolicy({ name: "Môj BRGR", retryAttempts: "three" }),
+    /Invalid retryAttempts "three" for Môj BRGR/
+  );
+  assert.throws(
+    () => resolveRetryPolicy({}, { retryDelay: "2s" }),
+    /Invalid retryDelay "2s"/
+  );
+  assert.throws(
+    () =>
+      resolveRetryPolicy(
+        { retryBackoffFactor: null },
+        { retryBackoffFactor: [] }
+      ),
+    /Invalid retryBackoffFactor/
+  );
+  assert.throws(
+    () => resolveRetryPolicy({ retryMaxDelay: -1 }),
+    /Invalid retryMaxDelay "-1"/
+  );
+});
+
+test("labels failures by status, timeout or network error", () => {
+  assert.equal(describeFailure(new Error("Request failed"), 403), "403");
+  assert.equal(
+    describeFailure(
+      Object.assign(new Error("page.goto: Timeout 30000ms exceeded"), {
+        name: "TimeoutError",
+      })
+    ),
+    "timeout"
+  );
+  assert.equal(
+    describeFailure(
+      new Error("page.goto: net::ERR_NAME_NOT_RESOLVED at https://x.sk")
+    ),
+    "ERR_NAME_NOT_RESOLVED"
+  );
+  assert.equal(
+    describeFailure(
+      Object.assign(new Error("connect refused"), { code: "ECONNREFUSED" })
+    ),
+    "ECONNREFUSED"
+  );
+  assert.equal(
+    describeFailure(new Error("No daily menu section\nat line 1")),
+    "No daily menu section"
+  );
+  assert.equal(describeFailure(null), "unknown error");
+});
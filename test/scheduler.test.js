@@ -0,0 +1,132 @@
+import { test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { MenuStore } from "../src/menu-store.js";
+import { siteResult, useTempDir } from "./helpers.js";
+
+process.env.DISCORD_WEBHOOK_URL ||= "https://discord.com/api/webhooks/1/test";
+const { MenuScraperScheduler } = await import("../src/scheduler.js");
+
+const tempDir = useTempDir("bistro-scheduler-");
+let scheduler;
+let scraped;
+let sent;
+let sendSucceeds;
+let cleanups;
+
+function menu(items) {
+  return [siteResult("Môj BRGR", items)];
+}
+
+function dish(name, amount, overrides = {}) {
+  return {
+    id: name,
+    name,
+    course: "main",
+    price: { amount, currency: "EUR" },
+    available: true,
+    ...overrides,
+  };
+}
+
+beforeEach(() => {
+  scheduler = new MenuScraperScheduler();
+  scheduler.store = new MenuStore({
+    storePath: tempDir.path,
+    timezone: scheduler.config.timezone,
+  });
+  scheduler.scraper = { scrapeAllSites: async () => scraped };
+
+  sent = [];
+  sendSucceeds = true;
+  cleanups = 0;
+  scheduler.discordNotifier = {
+    sendMenuUpdates: async (messages) => {
+      sent.push(messages);
+      return sendSucceeds;
+    },
+    cleanupScreenshots: async () => {
+      cleanups++;
+    },
+    sendErrorNotification: async () => {},
+  };
+});
+
+async function lastPosted() {
+  const run = await scheduler.store.getLastRun();
+  return run.sites[0].posted;
+}
+
+test("announces changes made before a re-check in the next run, except what it posted", async () => {
+  scraped = menu([dish("Burger", 890), dish("Rezeň", 850)]);
+  await scheduler.runScrapingJob();
+  assert.equal(await lastPosted(), "full");
+
+  scraped = menu([
+    dish("Burger", 950),
+    dish("Rezeň", 850, { available: false }),
+    dish("Syr", 790),
+  ]);
+  await scheduler.runRecheckJob();
+  assert.equal(await lastPosted(), "soldOut");
+  assert.equal(sent.length, 2);
+
+  await scheduler.runScrapingJob();
+  assert.equal(await lastPosted(), "diff");
+  assert.equal(sent.length, 3);
+
+  const fields = sent[2][0].embeds[0].fields.map((field) => field.name);
+  assert.deepEqual(fields, ["➕ Added", "💶 Price changed"]);
+});
+
+test("announces sold-out items again when the re-check post failed", async () => {
+  scraped = menu([dish("Burger", 890), dish("Rezeň", 850)]);
+  await scheduler.runScrapingJob();
+
+  scraped = menu([
+    dish("Burger", 890),
+    dish("Rezeň", 850, { available: false }),
+  ]);
+  sendSucceeds = false;
+  await scheduler.runRecheckJob();
+  assert.equal(await lastPosted(), "skip");
+
+  sendSucceeds = true;
+  await scheduler.runScrapingJob();
+  const fields = sent[2][0].embeds[0].fields.map((field) => field.name);
+  assert.deepEqual(fields, ["🚫 Sold out"]);
+});
+
+test("posts a menu again when the previous post failed", async () => {
+  scraped = menu([dish("Burger", 890)]);
+  sendSucceeds = false;
+  await scheduler.runScrapingJob();
+  assert.equal(await lastPosted(), "skip");
+
+  sendSucceeds = true;
+  await scheduler.runScrapingJob();
+  assert.equal(await lastPosted(), "full");
+  assert.equal(sent.length, 2);
+
+  await scheduler.runScrapingJob();
+  assert.equal(await lastPosted(), "skip");
+  assert.equal(sent.length, 2);
+});
+
+test("cleans up screenshots when a re-check has nothing to post", async () => {
+  scraped = menu([dish("Burger", 890)]);
+  await scheduler.runScrapingJob();
+
+  await scheduler.runRecheckJob();
+  assert.equal(sent.length, 1);
+  assert.equal(cleanups, 1);
+});
+
+test("stores a run without sites under the requested id", async () => {
+  scraped = [];
+  await scheduler.runScrapingJob("api", { runId: "run-without-sites" });
+
+  const run = await scheduler.store.getRun("run-without-sites");
+  assert.equal(run.trigger, "api");
+  assert.deepEqual(run.sites, []);
+  assert.equal(sent.length, 0);
+});
@@ -0,0 +1,139 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import http from "http";
+import path from "path";
+import { parseMenuText, VisionAnalyzer } from "../src/screenshot-analyzers.js";
+import { resolveExtractionRules } from "../src/extraction-rules.js";
+import { useTempDir } from "./helpers.js";
+
+const rules = resolveExtractionRules();
+
+let server;
+let endpoint;
+let requests = [];
+let reply;
+const tempDir = useTempDir("bistro-analysis-", { shared: true });
+let screenshotPath;
+
+// Stands in for an OpenAI-compatible chat completions endpoint
+before(async () => {
+  server = http.createServer((req, res) => {
+    let body = "";
+    req.on("data", (chunk) => (body += chunk));
+    req.on("end", () => {
+      requests.push({ headers: req.headers, body: JSON.parse(body) });
+      res.writeHead(200, { "Content-Type": "application/json" });
+      res.end(JSON.stringify({ choices: [{ message: { content: reply } }] }));
+    });
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  endpoint = `http://127.0.0.1:${server.address().port}/v1/chat/completions`;
+
+  screenshotPath = path.join(tempDir.path, "menu.png");
+  fs.writeFileSync(screenshotPath, Buffer.from("not really a png"));
+});
+
+after(() => {
+  server.close();
+});
+
+test("parses OCR text after the daily menu heading", () => {
+  const text = `
+    Môj BRGR
+    Denné menu pondelok 19.10.
+    Polievka 1: Gulášová polievka 0,33l (1,9) 1,50 €
+    Menu 1: Kurací rezeň so zemiakovou kašou
+    8,40 €
+    Obľúbené
+    Classic burger 9,90 €
+  `;
+
+  const { heading, items } = parseMenuText(text, rules);
+
+  assert.equal(heading, "Denné menu pondelok 19.10.");
+  assert.deepEqual(
+    items.map((item) => [item.name, item.rawName, item.priceText]),
+    [
+      [
+        "Gulášová polievka 0,33l (1,9)",
+        "Polievka 1: Gulášová polievka 0,33l (1,9)",
+        "1,50 €",
+      ],
+      [
+        "Kurací rezeň so zemiakovou kašou",
+        "Menu 1: Kurací rezeň so zemiakovou kašou",
+        "8,40 €",
+      ],
+    ]
+  );
+});
+
+test("returns no items from OCR text without a daily menu heading", () => {
+  const text = `
+    Môj BRGR
+    Dnes máme zatvorené
+    Obľúbené
+    Pho bo 9,90 €
+    Spring rolls 4,50 €
+  `;
+
+  assert.deepEqual(parseMenuText(text, rules), { heading: null, items: [] });
+});
+
+test("stops at an excluded section when a site has no section patterns", () => {
+  const text = `
+    Kurací rezeň 8,40 €
+    Obľúbené
+    Pho bo 9,90 €
+  `;
+
+  const { items } = parseMenuText(text, { ...rules, sectionPatterns: [] });
+
+  assert.deepEqual(
+    items.map((item) => item.name),
+    ["Kurací rezeň"]
+  );
+});
+
+test("sends the screenshot to the vision endpoint and maps its reply", async () => {
+  requests = [];
+  reply =
+    'Here is the menu:\n```json\n{"heading": "Denné menu pondelok", "items": [' +
+    '{"name": "Menu 2: Bravčový rezeň", "price": "8,50 €", "description": "150g (1,3,7)"},' +
+    '{"name": "Paradajková polievka", "price": 2.2}]}\n```';
+
+  const analyzer = new VisionAnalyzer({
+    endpoint,
+    model: "stand-in",
+    apiKey: "secret",
+  });
+  const { heading, items } = await analyzer.analyze(screenshotPath, rules);
+
+  assert.equal(requests.length, 1);
+  assert.equal(requests[0].headers.authorization, "Bearer secret");
+  assert.equal(requests[0].body.model, "stand-in");
+  assert.match(
+    requests[0].body.messages[0].content[1].image_url.url,
+    /^data:image\/png;base64,/
+  );
+
+  assert.equal(heading, "Denné menu pondelok");
+  assert.deepEqual(
+    items.map((item) => [item.name, item.priceText, item.description]),
+    [
+      ["Bravčový rezeň", "8,50 €", "150g (1,3,7)"],
+      ["Paradajková polievka", "2,20 €", rules.defaultDescription],
+    ]
+  );
+});
+
+test("rejects vision replies without JSON", async () => {
+  reply = "I cannot read this image.";
+
+  const analyzer = new VisionAnalyzer({ endpoint, model: "stand-in" });
+  await assert.rejects(
+    analyzer.analyze(screenshotPath, rules),
+    /contains no JSON/
+  );
+});
@@ -0,0 +1,134 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { chromium } from "playwright";
+import { parseHTML } from "linkedom";
+import { useTempDir } from "./helpers.js";
+
+// Config requires a webhook URL even though nothing is posted in tests
+process.env.DISCORD_WEBHOOK_URL ||=
+  "https://discord.com/api/webhooks/0/replay-tests";
+
+const { ScreenshotScraper } = await import("../src/screenshot-scraper.js");
+const { PageSnapshotStore } = await import("../src/page-snapshots.js");
+const { resolveExtractionRules } = await import("../src/extraction-rules.js");
+const { resolveRestaurantInfo } = await import("../src/restaurant-info.js");
+
+const fixturesPath = path.join(
+  path.dirname(fileURLToPath(import.meta.url)),
+  "fixtures"
+);
+const fixtures = new PageSnapshotStore(fixturesPath).listSnapshots();
+const browserInstalled = fs.existsSync(chromium.executablePath());
+
+const screenshotDir = useTempDir("bistro-replay-", { shared: true });
+let scraper;
+
+before(async () => {
+  scraper = new ScreenshotScraper({
+    screenshotPath: screenshotDir.path,
+    snapshotMode: "replay",
+    snapshotPath: fixturesPath,
+  });
+  if (!browserInstalled) return;
+
+  assert.equal(await scraper.initialize(), true, "Chromium failed to launch");
+});
+
+after(async () => {
+  if (scraper) await scraper.close();
+});
+
+function readFixture(id, file) {
+  return JSON.parse(fs.readFileSync(path.join(fixturesPath, id, file), "utf8"));
+}
+
+// Without Chromium the saved HTML is served to the HTTP-mode scrape instead
+// of being fetched, without falling back to the browser
+function replayWithoutBrowser(site) {
+  const html = fs.readFileSync(
+    path.join(fixturesPath, site.id, "page.html"),
+    "utf8"
+  );
+  scraper.httpScraper.fetchDocument = async () => ({
+    document: parseHTML(html).document,
+    httpStatus: 200,
+  });
+
+  return scraper.scrapeRestaurantOverHttp(site);
+}
+
+// Only the fields listed in expected.json are compared, so fixtures stay
+// valid when items gain new properties
+function pick(item, keys) {
+  return Object.fromEntries(keys.map((key) => [key, item[key]]));
+}
+
+for (const id of fixtures) {
+  test(`extracts the daily menu of the ${id} fixture`, async () => {
+    const meta = readFixture(id, "meta.json");
+    const expected = readFixture(id, "expected.json");
+    const site = {
+      id,
+      name: meta.name,
+      url: meta.url,
+      waitForSelector: 'main, [role="main"]',
+      extraction: resolveExtractionRules(meta.extraction),
+      restaurantInfo: resolveRestaurantInfo(meta.restaurantInfo),
+    };
+
+    const result = browserInstalled
+      ? await scraper.scrapeRestaurant(site)
+      : await replayWithoutBrowser(site);
+
+    // Over HTTP a page without a daily menu is left to the browser
+    if (!browserInstalled && expected.status === "no-menu") {
+      assert.equal(result.success, false);
+      assert.match(result.error, /No daily menu section/);
+      return;
+    }
+
+    assert.equal(result.success, true, result.error);
+    for (const key of ["freshness", "status", "closedReason"]) {
+      if (key in expected) {
+        assert.equal(result[key], expected[key], key);
+      }
+    }
+    if ("restaurant" in expected) {
+      assert.deepEqual(result.restaurant, expected.restaurant);
+    }
+    assert.deepEqual(
+      result.menuData.map((item, index) =>
+        pick(item, Object.keys(expected.items[index] || item))
+      ),
+      expected.items
+    );
+  });
+}
+
+test("leaves a server-rendered heading without items to the browser", async () => {
+  const httpOnly = new ScreenshotScraper({
+    screenshotPath: screenshotDir.path,
+  });
+  httpOnly.httpScraper = {
+    scrape: async () => ({
+      section: { heading: "Denné menu", totalItems: 0 },
+      items: [],
+      closureSignals: { text: "Denné menu", selectorTexts: [] },
+      pageText: "Denné menu",
+      httpStatus: 200,
+    }),
+  };
+
+  const result = await httpOnly.scrapeRestaurantOverHttp({
+    id: "moj-brgr",
+    name: "Môj BRGR",
+    url: "https://www.bistro.sk/restauracia/moj-brgr",
+    mode: "http",
+  });
+
+  assert.equal(result.success, false);
+  assert.match(result.error, /has no items/);
+});
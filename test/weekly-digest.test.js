@@ -0,0 +1,110 @@
+import { test, before } from "node:test";
+import assert from "node:assert/strict";
+import { MenuStore } from "../src/menu-store.js";
+import { buildWeeklyDigest } from "../src/weekly-digest.js";
+import { useTempDir } from "./helpers.js";
+
+const storeDir = useTempDir("bistro-digest-", { shared: true });
+let store;
+
+function menu(names) {
+  return {
+    items: names.map((name) => ({
+      name,
+      course: "main",
+      price: { amount: 850, currency: "EUR" },
+    })),
+  };
+}
+
+before(async () => {
+  store = new MenuStore({
+    storePath: storeDir.path,
+    timezone: "Europe/Bratislava",
+  });
+
+  const runs = [
+    [
+      "2026-10-13T09:30:00Z",
+      [
+        {
+          name: "Môj BRGR",
+          success: true,
+          status: "available",
+          menuData: menu(["Bravčový rezeň", "Kurací burger"]),
+        },
+        { name: "Vinh Bistro", success: false, error: "timeout" },
+      ],
+    ],
+    [
+      "2026-10-13T15:00:00Z",
+      [
+        {
+          name: "Vinh Bistro",
+          success: true,
+          status: "available",
+          menuData: menu(["Pho bo"]),
+        },
+      ],
+    ],
+    [
+      "2026-10-14T09:30:00Z",
+      [
+        {
+          name: "Môj BRGR",
+          success: true,
+          status: "closed",
+          closedReason: "Dovolenka",
+          menuData: menu([]),
+        },
+        { name: "Vinh Bistro", success: false, error: "403" },
+      ],
+    ],
+    [
+      "2026-10-15T09:30:00Z",
+      [
+        {
+          name: "Môj BRGR",
+          success: true,
+          status: "available",
+          menuData: menu(["Kuraci  burger", "Vyprážaný syr"]),
+        },
+      ],
+    ],
+  ];
+  for (const [startedAt, sites] of runs) {
+    await store.recordRun(sites, { startedAt: new Date(startedAt) });
+  }
+});
+
+test("summarizes each restaurant's week from the stored runs", async () => {
+  const digest = await buildWeeklyDigest(store, { to: "2026-10-19" });
+  const [brgr, vinh] = digest.restaurants;
+
+  assert.equal(digest.from, "2026-10-13");
+  assert.deepEqual(
+    brgr.days.map((day) => [day.date, day.weekday, day.status, day.dishes]),
+    [
+      ["2026-10-13", 2, "available", ["Bravčový rezeň", "Kurací burger"]],
+      ["2026-10-14", 3, "closed", []],
+      ["2026-10-15", 4, "available", ["Kuraci  burger", "Vyprážaný syr"]],
+    ]
+  );
+  assert.deepEqual(brgr.favourites, [{ name: "Kurací burger", days: 2 }]);
+  assert.deepEqual(brgr.noMenuDays, ["2026-10-14"]);
+  assert.deepEqual(brgr.reliability, { scrapes: 3, successful: 3, rate: 1 });
+
+  // A later successful scrape replaces the morning failure
+  assert.deepEqual(
+    vinh.days.map((day) => [day.date, day.status, day.error]),
+    [
+      ["2026-10-13", "available", null],
+      ["2026-10-14", "failed", "403"],
+    ]
+  );
+  assert.deepEqual(vinh.reliability, {
+    scrapes: 3,
+    successful: 1,
+    rate: 1 / 3,
+  });
+});